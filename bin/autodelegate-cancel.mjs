@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { spawnSync } from 'node:child_process';
+import { cancelMarkerPath, lookupTask } from '../lib/task-index.mjs';
+import { cancelQueuedTask } from '../lib/task-queue.mjs';
+
+function usage() {
+  console.log(`Usage:
+  autodelegate-cancel <taskId> [--home <path>]
+
+Queued tasks are moved to cancelled/ immediately. For running tasks a cancel
+request is written to <home>/control/ and the daemon stops the agent on its
+next poll.
+
+Env:
+  AUTO_DELEGATE_HOME      Home directory path override
+`);
+}
+
+function getRepoRoot() {
+  const result = spawnSync('git', ['rev-parse', '--show-toplevel'], {
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  if (result.status !== 0) {
+    return process.cwd();
+  }
+  return result.stdout.trim();
+}
+
+function resolveHome(repoRoot, cliHome) {
+  const raw = cliHome || process.env.AUTO_DELEGATE_HOME || '.autodelegate';
+  if (path.isAbsolute(raw)) {
+    return raw;
+  }
+  return path.resolve(repoRoot, raw);
+}
+
+function requestCancel(homeDir, taskId) {
+  const markerPath = cancelMarkerPath(homeDir, taskId);
+  fs.mkdirSync(path.dirname(markerPath), { recursive: true });
+  fs.writeFileSync(markerPath, `${JSON.stringify({ taskId, requestedAt: new Date().toISOString() }, null, 2)}\n`, 'utf8');
+  return markerPath;
+}
+
+let homeArg = '';
+let taskId = '';
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i += 1) {
+  const key = args[i];
+  if (key === '--help' || key === '-h') {
+    usage();
+    process.exit(0);
+  }
+  if (key === '--home') {
+    const value = args[i + 1];
+    if (!value || value.startsWith('--')) {
+      console.error('Missing value for --home');
+      process.exit(1);
+    }
+    homeArg = value;
+    i += 1;
+    continue;
+  }
+  if (!key.startsWith('-') && !taskId) {
+    taskId = key;
+    continue;
+  }
+  console.error(`Unknown argument: ${key}`);
+  process.exit(1);
+}
+
+if (!taskId) {
+  console.error('A task id is required.');
+  usage();
+  process.exit(1);
+}
+
+const repoRoot = getRepoRoot();
+const homeDir = resolveHome(repoRoot, homeArg);
+
+let found = lookupTask(homeDir, taskId);
+if (found?.state === 'inbox') {
+  try {
+    const cancelledPath = cancelQueuedTask(homeDir, found.filePath, taskId);
+    console.log(`Cancelled queued task ${taskId}: ${cancelledPath}`);
+    process.exit(0);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    // the daemon claimed it in the meantime; fall through to the running case
+    found = lookupTask(homeDir, taskId);
+  }
+}
+
+if (found?.state === 'processing') {
+  const markerPath = requestCancel(homeDir, taskId);
+  console.log(`Cancel requested for running task ${taskId}: ${markerPath}`);
+  console.log('The daemon stops the agent on its next poll.');
+  process.exit(0);
+}
+
+if (found) {
+  console.error(`Task ${taskId} is already ${found.state}.`);
+  process.exit(1);
+}
+
+console.error(`Task ${taskId} not found.`);
+process.exit(1);
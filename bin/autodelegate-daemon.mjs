@@ -1,16 +1,78 @@
 #!/usr/bin/env node
 
 import fs from 'node:fs';
+import http from 'node:http';
+import net from 'node:net';
+import os from 'node:os';
 import path from 'node:path';
 import process from 'node:process';
-import { spawnSync } from 'node:child_process';
+import { spawn, spawnSync } from 'node:child_process';
+import { collectGarbage } from '../lib/gc.mjs';
+import { DEFAULT_MERGE_TIMEOUT_MS, MERGE_EVENTS, integrateBranch, renderTemplate, resolveMergeSettings } from '../lib/merge.mjs';
+import { createOutputParser, estimateCostUsd } from '../lib/output-parsers.mjs';
+import { QUOTA_WINDOW_MS, USAGE_EVENT, findExceededQuota, readUsageLog, usageEntry } from '../lib/quotas.mjs';
+import { agentConcurrencyLimit, loadAgents, routeTask } from '../lib/routing.mjs';
+import { TASK_STATES, lookupTask, rebuildIndex, recordTaskState, taskFileName, taskRunsKey } from '../lib/task-index.mjs';
+import {
+  REQUEUEABLE_STATES,
+  buildTaskPayload,
+  cancelQueuedTask,
+  requeueTask,
+  submissionWarnings,
+  submitTask,
+  taskDependencies,
+} from '../lib/task-queue.mjs';
 
 const DEFAULT_CONFIG = {
   pollIntervalMs: 5000,
+  heartbeatIntervalMs: 10000,
   defaultMaxAttempts: 2,
+  maxConcurrency: 1,
+  agentConcurrency: {},
+  defaultTimeoutMs: 0,
+  killGraceMs: 10000,
+  dependencyOutput: 'none',
+  dependencyOutputMaxChars: 4000,
+  dependencyOutputFullMaxChars: 100000,
+  priorityAgingMs: 600000,
+  logMaxBytes: 0,
+  logOverflow: 'truncate',
+  logRotateKeep: 3,
+  retryPolicy: {
+    baseDelayMs: 30000,
+    multiplier: 2,
+    maxDelayMs: 600000,
+    jitter: 0.1,
+    retryableReasons: ['exit_*', 'signal_*', 'timeout', 'runtime_exception', 'verify_failed'],
+  },
   routingOrder: [],
+  routingRules: [],
+  fallbackAgents: [],
   cleanupWorktreeOnSuccess: false,
   cleanupWorktreeOnFailure: false,
+  captureChanges: true,
+  autoCommit: false,
+  commitMessageTemplate: 'autodelegate: {{title}} ({{taskId}})',
+  verify: [],
+  verifyTimeoutMs: 600000,
+  baseRef: '',
+  branchTemplate: '{{prefix}}{{agent}}-{{taskId}}-{{stamp}}',
+  merge: {
+    baseBranch: '',
+    strategy: 'ff',
+    remote: '',
+    prHook: '',
+    timeoutMs: DEFAULT_MERGE_TIMEOUT_MS,
+  },
+  gc: {
+    intervalMs: 0,
+    maxAgeDays: 14,
+    keep: 0,
+  },
+  quotas: {
+    global: {},
+    agents: {},
+  },
 };
 
 function usage() {
@@ -21,8 +83,13 @@ Options:
   --home <path>            Override home directory (default: .autodelegate in repo root)
   --poll-ms <number>       Override poll interval in milliseconds
   --once                   Process one available task and exit
+  --http <[host:]port>     Serve the REST API and dashboard (e.g. 127.0.0.1:7777)
   --help                   Show help
 
+Signals:
+  SIGINT/SIGTERM           Stop claiming tasks and wait for in-flight tasks to finish
+                           (send a second signal to exit immediately)
+
 Env:
   AUTO_DELEGATE_HOME              Home directory path override
   AUTO_DELEGATE_BRANCH_PREFIX     Worktree branch prefix (default: autodelegate/)
@@ -36,6 +103,7 @@ function parseArgs(argv) {
     home: '',
     pollMs: 0,
     once: false,
+    http: '',
   };
 
   for (let i = 0; i < argv.length; i += 1) {
@@ -48,13 +116,16 @@ function parseArgs(argv) {
       options.once = true;
       continue;
     }
-    if (key === '--home' || key === '--poll-ms') {
+    if (key === '--home' || key === '--poll-ms' || key === '--http') {
       const value = argv[i + 1];
       if (!value || value.startsWith('--')) {
         throw new Error(`Missing value for ${key}`);
       }
       if (key === '--home') {
         options.home = value;
+      } else if (key === '--http') {
+        parseListenAddress(value);
+        options.http = value;
       } else {
         options.pollMs = Number(value);
       }
@@ -75,10 +146,6 @@ function nowIso() {
   return new Date().toISOString();
 }
 
-function tsCompact() {
-  return new Date().toISOString().replace(/[-:.]/g, '').replace('T', '-').replace('Z', 'Z');
-}
-
 function slugify(value) {
   return String(value || 'task')
     .toLowerCase()
@@ -121,11 +188,6 @@ function listFiles(dirPath, suffix) {
     .sort((a, b) => a.localeCompare(b));
 }
 
-function commandExists(command) {
-  const result = spawnSync('which', [command], { stdio: 'ignore' });
-  return result.status === 0;
-}
-
 function getRepoRoot() {
   const result = spawnSync('git', ['rev-parse', '--show-toplevel'], {
     encoding: 'utf8',
@@ -163,12 +225,11 @@ function branchPrefix() {
   return raw.endsWith('/') ? raw : `${raw}/`;
 }
 
-function moveFileToDir(sourcePath, targetDir, prefix) {
-  ensureDir(targetDir);
-  const baseName = path.basename(sourcePath);
-  const targetName = `${prefix}-${baseName}`;
-  const targetPath = path.join(targetDir, targetName);
+function moveTask(dirs, sourcePath, state, taskId) {
+  ensureDir(dirs[state]);
+  const targetPath = path.join(dirs[state], taskFileName(taskId));
   fs.renameSync(sourcePath, targetPath);
+  recordTaskState(dirs.home, taskId, state, targetPath);
   return targetPath;
 }
 
@@ -189,90 +250,279 @@ function loadConfig(configPath) {
   }
 }
 
-function loadAgents(agentsDirs) {
-  const byName = new Map();
+function positiveLimit(value, fallback) {
+  const limit = Number(value);
+  if (!Number.isFinite(limit) || limit < 1) {
+    return fallback;
+  }
+  return Math.floor(limit);
+}
 
-  for (const agentsDir of agentsDirs) {
-    if (!agentsDir || !fs.existsSync(agentsDir)) {
-      continue;
-    }
+function hasAgentCapacity(agent, config, scheduler) {
+  const active = scheduler.agentLoad.get(agent.name) || 0;
+  return active < agentConcurrencyLimit(agent, config);
+}
 
-    const files = listFiles(agentsDir, '.agent.json');
-    for (const fileName of files) {
-      const fullPath = path.join(agentsDir, fileName);
-      try {
-        const agent = readJson(fullPath);
-        if (agent.enabled === false) {
-          continue;
-        }
-        if (!agent.name || !agent.command) {
-          log(`Skipping invalid agent config: ${fullPath}`);
-          continue;
-        }
-        if (!commandExists(agent.command)) {
-          continue;
-        }
+function reserveAgent(scheduler, agentName) {
+  scheduler.agentLoad.set(agentName, (scheduler.agentLoad.get(agentName) || 0) + 1);
+}
 
-        byName.set(agent.name, {
-          ...agent,
-          promptMode: agent.promptMode === 'stdin' ? 'stdin' : 'argument',
-          defaultArgs: Array.isArray(agent.defaultArgs) ? agent.defaultArgs.map(String) : [],
-          useWorktree: agent.useWorktree !== false,
-        });
-      } catch (error) {
-        log(`Failed to load agent config: ${fullPath}`, String(error));
-      }
-    }
+function releaseAgent(scheduler, agentName) {
+  const active = (scheduler.agentLoad.get(agentName) || 0) - 1;
+  if (active > 0) {
+    scheduler.agentLoad.set(agentName, active);
+  } else {
+    scheduler.agentLoad.delete(agentName);
   }
+}
 
-  return Array.from(byName.values());
+/**
+ * Whether a quota stops `agent` from starting a task. The first time a task is held back a
+ * `quota_exceeded` event is logged for it; the task itself stays in the inbox untouched.
+ */
+function isQuotaPaused(context, agent, taskId) {
+  const { config, logPath, scheduler } = context;
+  const exceeded = findExceededQuota(config, scheduler.usage, agent.name);
+  if (!exceeded) {
+    scheduler.quotaPaused.delete(taskId);
+    return false;
+  }
+  if (!scheduler.quotaPaused.has(taskId)) {
+    scheduler.quotaPaused.add(taskId);
+    appendEvent(logPath, {
+      at: nowIso(),
+      status: 'paused',
+      reason: 'quota_exceeded',
+      taskId,
+      agent: agent.name,
+      scope: exceeded.scope,
+      limit: exceeded.limit,
+      used: exceeded.used,
+      max: exceeded.max,
+    });
+  }
+  return true;
 }
 
-function pickAgent(task, agents, config) {
-  if (!agents.length) {
-    return null;
+/**
+ * Whether routing found an agent. A task whose `requires` no available agent satisfies stays in
+ * the inbox; a `no_matching_agent` event is logged the first time it is skipped.
+ */
+function isRoutable(context, route, taskId) {
+  const { logPath, scheduler } = context;
+  if (route.agent) {
+    scheduler.unroutable.delete(taskId);
+    return true;
+  }
+  if (!scheduler.unroutable.has(taskId)) {
+    scheduler.unroutable.add(taskId);
+    appendEvent(logPath, {
+      at: nowIso(),
+      status: 'waiting',
+      reason: 'no_matching_agent',
+      taskId,
+      requires: route.routing.requires,
+      rejected: route.routing.rejected,
+    });
   }
+  return false;
+}
 
-  if (task.agent) {
-    const named = agents.find((agent) => agent.name === task.agent);
-    if (named) {
-      return named;
-    }
+function recordRunUsage(context, entry, task, taskId) {
+  const { logPath, scheduler } = context;
+  const attempts = Array.isArray(task.attempts) ? task.attempts : [];
+  const attempt = attempts[attempts.length - 1];
+  entry.finishedAtMs = Date.now();
+  entry.costUsd = Number.isFinite(attempt?.costUsd) ? attempt.costUsd : null;
+  const cutoff = entry.finishedAtMs - QUOTA_WINDOW_MS;
+  scheduler.usage = scheduler.usage.filter((item) => item.finishedAtMs === null || item.finishedAtMs >= cutoff);
+  appendEvent(logPath, {
+    at: nowIso(),
+    status: USAGE_EVENT,
+    taskId,
+    attempt: attempt?.attempt,
+    agent: entry.agent,
+    startedAt: new Date(entry.startedAtMs).toISOString(),
+    durationMs: entry.finishedAtMs - entry.startedAtMs,
+    costUsd: entry.costUsd ?? undefined,
+  });
+}
+
+function git(cwd, args, env) {
+  return spawnSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    env: env ? { ...process.env, ...env } : process.env,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    maxBuffer: 64 * 1024 * 1024,
+  });
+}
+
+function gitOutput(cwd, args, what) {
+  const result = git(cwd, args);
+  if (result.status !== 0) {
+    const detail = (result.stderr || result.stdout || '').trim();
+    throw new Error(detail ? `${what}: ${detail}` : what);
   }
+  return result.stdout.trim();
+}
+
+function branchExists(repoRoot, branch) {
+  return git(repoRoot, ['show-ref', '--verify', '--quiet', `refs/heads/${branch}`]).status === 0;
+}
 
-  if (task.tool) {
-    const byTool = agents.find((agent) => agent.command === task.tool);
-    if (byTool) {
-      return byTool;
+function findBranchCheckout(repoRoot, branch) {
+  let current = '';
+  for (const line of git(repoRoot, ['worktree', 'list', '--porcelain']).stdout.split('\n')) {
+    if (line.startsWith('worktree ')) {
+      current = line.slice('worktree '.length);
+    } else if (line === `branch refs/heads/${branch}`) {
+      return current;
     }
   }
+  return '';
+}
+
+function continuedBranch(task, dirs) {
+  if (task.branch) {
+    return String(task.branch);
+  }
+  if (!task.continueFrom) {
+    return '';
+  }
+  const found = lookupTask(dirs.home, String(task.continueFrom));
+  const attempts = found ? readJson(found.filePath).attempts || [] : [];
+  const previous = [...attempts].reverse().find((entry) => entry.branch);
+  if (!previous) {
+    throw new Error(`continueFrom: task ${task.continueFrom} has no branch to continue`);
+  }
+  return previous.branch;
+}
+
+function renderBranchName(task, agent, config, taskId, attempt) {
+  const template = task.branchTemplate || agent.branchTemplate || config.branchTemplate || DEFAULT_CONFIG.branchTemplate;
+  const now = new Date();
+  return renderTemplate(template, {
+    prefix: branchPrefix(),
+    agent: slugify(agent.name),
+    taskId: slugify(taskId),
+    title: slugify(task.title),
+    attempt,
+    date: now.toISOString().slice(0, 10).replace(/-/g, ''),
+    stamp: now.getTime(),
+  });
+}
+
+/**
+ * Reattaches the branch and worktree of an attempt that failed verification, uncommitted changes
+ * included, so the retry fixes the work it is told about. Returns null when they are gone.
+ */
+function resumeVerifyRetry(context, task) {
+  const { dirs, repoRoot } = context;
+  const resume = task.verifyRetry;
+  if (!resume?.branch || !branchExists(repoRoot, resume.branch)) {
+    return null;
+  }
+  let worktreePath = findBranchCheckout(repoRoot, resume.branch);
+  if (!worktreePath) {
+    worktreePath = path.join(dirs.worktrees, resume.branch.replace(/\//g, '__'));
+    gitOutput(repoRoot, ['worktree', 'add', worktreePath, resume.branch], 'git worktree add failed');
+  }
+  return {
+    branch: resume.branch,
+    worktreePath,
+    baseRef: resume.baseRef,
+    baseSha: resume.baseSha,
+    uncommittedBase: resume.uncommittedBase,
+    continued: true,
+    resumed: true,
+  };
+}
 
-  if (Array.isArray(config.routingOrder)) {
-    for (const name of config.routingOrder) {
-      const found = agents.find((agent) => agent.name === name);
-      if (found) {
-        return found;
+/**
+ * Creates the task's worktree. A retry after `verify_failed` resumes the failed attempt's worktree;
+ * `task.branch`/`task.continueFrom` check out an existing branch (reusing its worktree when it is
+ * still under <home>/worktrees); otherwise a new branch named by `branchTemplate` starts at
+ * `baseRef` (task, agent, config, else HEAD).
+ */
+/**
+ * Stores the uncommitted state of a reused worktree as an unreferenced commit on top of HEAD. Used as
+ * `baseSha`, it keeps what the previous task left behind out of this run's diff. A throwaway index
+ * leaves the worktree and its staging area as they are.
+ */
+function snapshotWorktree(worktreePath) {
+  const tmpIndex = path.join(os.tmpdir(), `autodelegate-index-${process.pid}-${Date.now()}`);
+  const env = {
+    GIT_INDEX_FILE: tmpIndex,
+    GIT_AUTHOR_NAME: 'autodelegate',
+    GIT_AUTHOR_EMAIL: 'autodelegate@localhost',
+    GIT_COMMITTER_NAME: 'autodelegate',
+    GIT_COMMITTER_EMAIL: 'autodelegate@localhost',
+  };
+  try {
+    for (const args of [['read-tree', 'HEAD'], ['add', '-A']]) {
+      const result = git(worktreePath, args, env);
+      if (result.status !== 0) {
+        throw new Error(`git ${args[0]} failed: ${(result.stderr || '').trim()}`);
       }
     }
+    const tree = git(worktreePath, ['write-tree'], env);
+    const commit =
+      tree.status === 0
+        ? git(worktreePath, ['commit-tree', tree.stdout.trim(), '-p', 'HEAD', '-m', 'autodelegate: uncommitted changes'], env)
+        : tree;
+    if (commit.status !== 0) {
+      throw new Error(`snapshot of uncommitted changes failed: ${(commit.stderr || '').trim()}`);
+    }
+    return commit.stdout.trim();
+  } finally {
+    fs.rmSync(tmpIndex, { force: true });
   }
-
-  return agents[0];
 }
 
-function createWorktree(repoRoot, worktreesDir, agentName, taskId) {
-  ensureDir(worktreesDir);
-  const stamp = Date.now();
-  const branch = `${branchPrefix()}${slugify(agentName)}-${slugify(taskId)}-${stamp}`;
-  const worktreePath = path.join(worktreesDir, branch.replace(/\//g, '__'));
-  const result = spawnSync('git', ['worktree', 'add', '-b', branch, worktreePath], {
-    cwd: repoRoot,
-    encoding: 'utf8',
-    stdio: ['ignore', 'pipe', 'pipe'],
-  });
-  if (result.status !== 0) {
-    throw new Error(`git worktree add failed: ${(result.stderr || result.stdout || '').trim()}`);
+function createWorktree(context, task, agent, taskId, attempt) {
+  const { config, dirs, repoRoot } = context;
+  ensureDir(dirs.worktrees);
+
+  const resumed = resumeVerifyRetry(context, task);
+  if (resumed) {
+    return resumed;
+  }
+
+  const existing = continuedBranch(task, dirs);
+  if (existing && !task.branch && !branchExists(repoRoot, existing)) {
+    throw new Error(`continueFrom: branch ${existing} of task ${task.continueFrom} no longer exists`);
+  }
+  if (existing && branchExists(repoRoot, existing)) {
+    let worktreePath = findBranchCheckout(repoRoot, existing);
+    if (worktreePath && !path.resolve(worktreePath).startsWith(`${path.resolve(dirs.worktrees)}${path.sep}`)) {
+      throw new Error(`branch ${existing} is checked out in ${worktreePath}`);
+    }
+    if (!worktreePath) {
+      worktreePath = path.join(dirs.worktrees, existing.replace(/\//g, '__'));
+      gitOutput(repoRoot, ['worktree', 'add', worktreePath, existing], 'git worktree add failed');
+    }
+    const headSha = gitOutput(worktreePath, ['rev-parse', 'HEAD'], 'git rev-parse failed');
+    if (!gitOutput(worktreePath, ['status', '--porcelain'], 'git status failed')) {
+      return { branch: existing, worktreePath, baseRef: existing, baseSha: headSha, continued: true };
+    }
+    // The previous task left uncommitted changes (no autoCommit): keep them for the agent, but diff
+    // this run from a snapshot of them.
+    const baseSha = snapshotWorktree(worktreePath);
+    log(`Continuing ${existing} with uncommitted changes in ${worktreePath}; diffing from snapshot ${baseSha.slice(0, 12)}.`);
+    return { branch: existing, worktreePath, baseRef: existing, baseSha, headSha, uncommittedBase: true, continued: true };
+  }
+
+  const baseRef = String(task.baseRef || agent.baseRef || config.baseRef || 'HEAD');
+  const baseSha = gitOutput(repoRoot, ['rev-parse', '--verify', '--quiet', `${baseRef}^{commit}`], `unknown baseRef ${baseRef}`);
+  let branch = existing || renderBranchName(task, agent, config, taskId, attempt);
+  gitOutput(repoRoot, ['check-ref-format', '--branch', branch], `invalid branch name ${branch}`);
+  if (branchExists(repoRoot, branch)) {
+    branch = `${branch}-${Date.now()}`;
   }
-  return { branch, worktreePath };
+  const worktreePath = path.join(dirs.worktrees, branch.replace(/\//g, '__'));
+  gitOutput(repoRoot, ['worktree', 'add', '-b', branch, worktreePath, baseSha], 'git worktree add failed');
+  return { branch, worktreePath, baseRef, baseSha, continued: false };
 }
 
 function cleanupWorktree(repoRoot, worktreePath) {
@@ -297,212 +547,1868 @@ function resolveRunCwd(repoRoot, worktreePath, taskCwd) {
   return path.resolve(base, taskCwd);
 }
 
-function recoverProcessing(processingDir, inboxDir) {
-  const stale = listFiles(processingDir, '.json');
-  for (const fileName of stale) {
-    fs.renameSync(path.join(processingDir, fileName), path.join(inboxDir, `recovered-${fileName}`));
+function commitWorktreeChanges(worktreePath, message) {
+  if (!git(worktreePath, ['status', '--porcelain']).stdout.trim()) {
+    return { committed: false };
   }
-  if (stale.length > 0) {
-    log(`Recovered ${stale.length} task(s) from processing back to inbox.`);
+  const add = git(worktreePath, ['add', '-A']);
+  const commit = add.status === 0 ? git(worktreePath, ['commit', '-q', '-m', message]) : add;
+  if (commit.status !== 0) {
+    return { committed: false, error: (commit.stderr || commit.stdout || '').trim() };
   }
+  return { committed: true, sha: git(worktreePath, ['rev-parse', 'HEAD']).stdout.trim() };
 }
 
-function runAgent(agent, task, prompt, cwd) {
-  const args = [
-    ...agent.defaultArgs,
-    ...(Array.isArray(task.commandArgs) ? task.commandArgs.map(String) : []),
-  ];
-
-  const options = {
-    cwd,
-    encoding: 'utf8',
-    stdio: ['pipe', 'pipe', 'pipe'],
-    maxBuffer: 20 * 1024 * 1024,
-    env: {
-      ...process.env,
-      ...(agent.env || {}),
-      ...(task.env || {}),
-    },
-  };
+function parseNumstat(text) {
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      const [added, deleted, ...rest] = line.split('\t');
+      return {
+        path: rest.join('\t'),
+        insertions: added === '-' ? null : Number(added),
+        deletions: deleted === '-' ? null : Number(deleted),
+        binary: added === '-',
+      };
+    });
+}
 
-  if (agent.promptMode === 'stdin') {
-    return spawnSync(agent.command, args, { ...options, input: prompt });
+/**
+ * Diffs the worktree (commits, staged, unstaged and untracked files) against the commit it was
+ * created from. A throwaway index keeps the agent's own staging area untouched.
+ */
+function captureWorktreeChanges(worktree, runDir) {
+  const { worktreePath, baseSha } = worktree;
+  const tmpIndex = path.join(runDir, '.diff-index');
+  const env = { GIT_INDEX_FILE: tmpIndex };
+  try {
+    git(worktreePath, ['read-tree', 'HEAD'], env);
+    git(worktreePath, ['add', '-A'], env);
+    const patch = git(worktreePath, ['diff', '--cached', '--binary', baseSha], env);
+    if (patch.status !== 0) {
+      throw new Error(`git diff failed: ${(patch.stderr || '').trim()}`);
+    }
+    const files = parseNumstat(git(worktreePath, ['diff', '--cached', '--numstat', baseSha], env).stdout);
+    fs.writeFileSync(path.join(runDir, 'changes.patch'), patch.stdout, 'utf8');
+
+    const headSha = git(worktreePath, ['rev-parse', 'HEAD']).stdout.trim();
+    const diffstat = {
+      baseSha,
+      headSha,
+      commits: Number(git(worktreePath, ['rev-list', '--count', `${baseSha}..HEAD`]).stdout.trim()) || 0,
+      uncommitted: git(worktreePath, ['status', '--porcelain']).stdout.split('\n').filter(Boolean).length,
+      filesChanged: files.length,
+      insertions: files.reduce((sum, file) => sum + (file.insertions || 0), 0),
+      deletions: files.reduce((sum, file) => sum + (file.deletions || 0), 0),
+      files,
+    };
+    writeJson(path.join(runDir, 'diffstat.json'), diffstat);
+    return diffstat;
+  } finally {
+    fs.rmSync(tmpIndex, { force: true });
   }
+}
 
-  return spawnSync(agent.command, [...args, prompt], options);
+function resolveAutoCommit(task, agent, config) {
+  return Boolean(task.autoCommit ?? agent.autoCommit ?? config.autoCommit);
 }
 
-async function processOneTask(context) {
-  const { config, dirs, agents, repoRoot, logPath } = context;
-  const taskFiles = listFiles(dirs.inbox, '.json');
-  if (!taskFiles.length) {
-    return false;
-  }
+function commitMessageFor(task, taskId, agent, attempt, branch, config) {
+  return renderTemplate(task.commitMessage || config.commitMessageTemplate || DEFAULT_CONFIG.commitMessageTemplate, {
+    taskId,
+    title: task.title || taskId,
+    agent: agent.name,
+    attempt,
+    branch,
+  });
+}
 
-  if (!agents.length) {
-    log('Tasks pending, but no available agent tools detected.');
-    return true;
+function collectChanges(context, { task, taskId, agent, attempt, worktree, runDir, succeeded }) {
+  const { config } = context;
+  if (!worktree?.baseSha || config.captureChanges === false) {
+    return null;
+  }
+  try {
+    let commit = null;
+    if (succeeded && resolveAutoCommit(task, agent, config)) {
+      const message = commitMessageFor(task, taskId, agent, attempt, worktree.branch, config);
+      commit = commitWorktreeChanges(worktree.worktreePath, message);
+      if (commit.error) {
+        log(`Auto-commit failed for ${taskId}`, commit.error);
+      }
+    }
+    const diffstat = captureWorktreeChanges(worktree, runDir);
+    return {
+      filesChanged: diffstat.filesChanged,
+      insertions: diffstat.insertions,
+      deletions: diffstat.deletions,
+      commits: diffstat.commits,
+      uncommitted: diffstat.uncommitted,
+      baseSha: diffstat.baseSha,
+      headSha: diffstat.headSha,
+      autoCommit: commit,
+    };
+  } catch (error) {
+    log(`Failed to capture changes for ${taskId}`, String(error));
+    return { error: String(error.message || error) };
   }
+}
 
-  const fileName = taskFiles[0];
-  const inboxPath = path.join(dirs.inbox, fileName);
-  const processingPath = path.join(dirs.processing, fileName);
+/**
+ * Runs the task's `onSuccess` policy (merge or PR) on its worktree branch and records the outcome
+ * on the task, in summary.json and in daemon.log. Merge problems never change the task's state.
+ */
+async function applySuccessPolicy(context, { task, taskId, agent, attempt, completedPath, summary, worktree }) {
+  const { config, dirs, repoRoot, logPath } = context;
+  const settings = resolveMergeSettings(config, task);
+  if (settings.action === 'none' || !worktree || summary.reason === 'no_changes') {
+    return;
+  }
 
-  try {
-    fs.renameSync(inboxPath, processingPath);
-  } catch {
-    return true;
+  const merge = await integrateBranch({
+    repoRoot,
+    worktreesDir: dirs.worktrees,
+    branch: worktree.branch,
+    worktreePath: worktree.worktreePath,
+    taskId,
+    title: task.title,
+    message: commitMessageFor(task, taskId, agent, attempt, worktree.branch, config),
+    settings,
+  });
+  task.merge = merge;
+  writeJson(completedPath, task);
+  writeJson(path.join(summary.runDir, 'summary.json'), { ...summary, merge });
+  appendEvent(logPath, {
+    at: nowIso(),
+    status: MERGE_EVENTS[merge.status] || 'merge_failed',
+    taskId,
+    branch: merge.branch,
+    base: merge.base,
+    strategy: merge.strategy,
+    mergedSha: merge.mergedSha,
+    url: merge.url,
+    conflicts: merge.conflicts,
+    error: merge.error,
+  });
+  if (merge.status !== 'merged' && merge.status !== 'pr_opened' && merge.status !== 'pushed') {
+    log(`onSuccess ${settings.action} for ${taskId} stopped: ${merge.status}`, merge.error || (merge.conflicts || []).join(', '));
   }
+}
 
-  const loopStamp = Date.now();
-  let task;
-  try {
-    task = readJson(processingPath);
-  } catch (error) {
-    const failedPath = moveFileToDir(processingPath, dirs.failed, String(loopStamp));
+/**
+ * Periodic worktree/branch collection (`gc.intervalMs`). Never forced: unmerged branches and
+ * dirty worktrees are left for `autodelegate-gc --force`.
+ */
+function maybeCollectGarbage(context, gcState) {
+  const { config, dirs, repoRoot, logPath } = context;
+  const gc = { ...DEFAULT_CONFIG.gc, ...(config.gc || {}) };
+  const intervalMs = Number(gc.intervalMs);
+  if (!Number.isFinite(intervalMs) || intervalMs <= 0 || Date.now() - gcState.lastRunAt < intervalMs) {
+    return;
+  }
+  gcState.lastRunAt = Date.now();
+  const merge = config.merge || {};
+  const report = collectGarbage({
+    repoRoot,
+    homeDir: dirs.home,
+    branchPrefix: branchPrefix(),
+    baseBranch: merge.baseBranch || '',
+    remote: merge.remote || '',
+    maxAgeDays: Number(gc.maxAgeDays) || 0,
+    keep: Number(gc.keep) || 0,
+  });
+  if (report.deletedBranches.length || report.removedDirs.length || report.errors.length) {
+    log(
+      `GC removed ${report.deletedBranches.length} branch(es), ${report.removedWorktrees.length} worktree(s), ` +
+        `${report.removedDirs.length} stale dir(s); kept ${report.skipped.length}.`,
+    );
     appendEvent(logPath, {
       at: nowIso(),
-      status: 'failed',
-      reason: 'invalid_json',
-      file: failedPath,
-      error: String(error),
+      status: 'gc',
+      deletedBranches: report.deletedBranches.map((entry) => entry.branch),
+      removedWorktrees: report.removedWorktrees,
+      removedDirs: report.removedDirs,
+      skipped: report.skipped.length,
+      errors: report.errors.length ? report.errors : undefined,
     });
-    return true;
   }
+}
 
-  const taskId = task.id || path.basename(fileName, '.json');
-  const prompt = typeof task.prompt === 'string' ? task.prompt : '';
-  if (!prompt.trim()) {
-    const failedPath = moveFileToDir(processingPath, dirs.failed, String(loopStamp));
-    appendEvent(logPath, {
-      at: nowIso(),
-      status: 'failed',
-      reason: 'missing_prompt',
-      taskId,
-      file: failedPath,
-    });
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
     return true;
+  } catch (error) {
+    return error.code === 'EPERM';
   }
+}
 
-  const agent = pickAgent(task, agents, config);
-  if (!agent) {
-    moveFileToDir(processingPath, dirs.inbox, `waiting-${loopStamp}`);
-    return true;
+function readLock(lockPath) {
+  try {
+    return readJson(lockPath);
+  } catch {
+    return null;
   }
+}
 
-  const runDir = path.join(dirs.runs, `${tsCompact()}-${slugify(taskId)}`);
-  ensureDir(runDir);
-  fs.writeFileSync(path.join(runDir, 'task.json'), `${JSON.stringify(task, null, 2)}\n`, 'utf8');
-  fs.writeFileSync(path.join(runDir, 'prompt.txt'), `${prompt}\n`, 'utf8');
+function isLockLive(lock) {
+  if (!lock) {
+    return false;
+  }
+  // A daemon is considered gone after missing three heartbeats.
+  const staleAfterMs = 3 * (Number(lock.heartbeatIntervalMs) || DEFAULT_CONFIG.heartbeatIntervalMs);
+  if (Date.now() - Date.parse(lock.heartbeatAt || '') > staleAfterMs) {
+    return false;
+  }
+  if (lock.host === os.hostname()) {
+    return isProcessAlive(Number(lock.pid));
+  }
+  return true;
+}
 
-  const startedAt = Date.now();
-  let worktree = null;
+function isOwnLock(lock) {
+  return Boolean(lock) && Number(lock.pid) === process.pid && lock.host === os.hostname();
+}
 
+/**
+ * Writes the lock body to a private temp file first, so `daemon.lock` is never seen half-written:
+ * `link` publishes it only if no lock exists, `rename` replaces our own lock in place.
+ */
+function writeLockFile(lockPath, lock, publish) {
+  const tmp = `${lockPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify(lock, null, 2)}\n`, 'utf8');
   try {
-    if (agent.useWorktree) {
-      worktree = createWorktree(repoRoot, dirs.worktrees, agent.name, taskId);
+    publish(tmp);
+  } finally {
+    fs.rmSync(tmp, { force: true });
+  }
+}
+
+function acquireLock(lockPath, heartbeatIntervalMs) {
+  const lock = {
+    pid: process.pid,
+    host: os.hostname(),
+    startedAt: nowIso(),
+    heartbeatAt: nowIso(),
+    heartbeatIntervalMs,
+  };
+
+  for (let tries = 0; tries < 2; tries += 1) {
+    try {
+      writeLockFile(lockPath, lock, (tmp) => fs.linkSync(tmp, lockPath));
+      return { acquired: true, lock };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
     }
 
-    const runCwd = resolveRunCwd(repoRoot, worktree?.worktreePath || null, task.cwd);
-    const result = runAgent(agent, task, prompt, runCwd);
+    const existing = readLock(lockPath);
+    if (isLockLive(existing)) {
+      return { acquired: false, lock: existing };
+    }
+    // Move the stale lock aside instead of deleting it: if another starter replaced it in the
+    // meantime, we moved their fresh lock, which is put back and left to them.
+    const aside = `${lockPath}.stale-${process.pid}-${Date.now()}`;
+    try {
+      fs.renameSync(lockPath, aside);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        continue;
+      }
+      throw error;
+    }
+    const moved = readLock(aside);
+    if (isLockLive(moved)) {
+      try {
+        fs.linkSync(aside, lockPath);
+      } catch {
+        // yet another daemon holds the lock now
+      }
+      fs.rmSync(aside, { force: true });
+      return { acquired: false, lock: moved };
+    }
+    fs.rmSync(aside, { force: true });
+    log(`Replacing stale daemon lock (pid ${existing?.pid ?? 'unknown'} on ${existing?.host ?? 'unknown'}).`);
+  }
 
-    fs.writeFileSync(path.join(runDir, 'stdout.log'), result.stdout || '', 'utf8');
-    fs.writeFileSync(path.join(runDir, 'stderr.log'), result.stderr || '', 'utf8');
+  return { acquired: false, lock: readLock(lockPath) };
+}
 
-    const summary = {
-      status: result.status === 0 ? 'completed' : 'failed',
-      taskId,
-      agent: agent.name,
-      tool: agent.command,
-      startedAt: new Date(startedAt).toISOString(),
-      finishedAt: nowIso(),
-      durationMs: Date.now() - startedAt,
-      exitCode: result.status,
-      signal: result.signal,
-      runDir,
-      worktree: worktree?.worktreePath || null,
-      branch: worktree?.branch || null,
-    };
-    writeJson(path.join(runDir, 'summary.json'), summary);
+function refreshLock(lockPath, scheduler) {
+  const lock = readLock(lockPath);
+  if (!isOwnLock(lock)) {
+    return false;
+  }
+  lock.heartbeatAt = nowIso();
+  lock.runningTasks = Array.from(scheduler.active.keys());
+  writeLockFile(lockPath, lock, (tmp) => fs.renameSync(tmp, lockPath));
+  return true;
+}
 
-    const maxAttempts = Number(task.maxAttempts ?? config.defaultMaxAttempts ?? 1);
-    const attempt = Number(task.attempt ?? 0);
+function releaseLock(lockPath) {
+  if (isOwnLock(readLock(lockPath))) {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
 
-    if (result.status === 0) {
-      const completedPath = moveFileToDir(processingPath, dirs.completed, String(Date.now()));
-      appendEvent(logPath, {
-        at: nowIso(),
-        status: 'completed',
-        taskId,
-        taskFile: completedPath,
-        runDir,
-        agent: agent.name,
-        tool: agent.command,
-        branch: worktree?.branch || null,
-      });
-      if (config.cleanupWorktreeOnSuccess && worktree) {
-        cleanupWorktree(repoRoot, worktree.worktreePath);
+function recoverProcessing(dirs) {
+  const stale = listFiles(dirs.processing, '.json');
+  for (const fileName of stale) {
+    const processingPath = path.join(dirs.processing, fileName);
+    let taskId = path.basename(fileName, '.json');
+    try {
+      const task = readJson(processingPath);
+      taskId = task.id || taskId;
+      if (Array.isArray(task.attempts)) {
+        for (const entry of task.attempts.filter((item) => item.status === 'running')) {
+          entry.status = 'interrupted';
+          entry.reason = 'interrupted';
+        }
+        writeJson(processingPath, task);
       }
-      return true;
+    } catch {
+      // invalid payloads are recovered as-is and failed on the next claim
     }
+    moveTask(dirs, processingPath, 'inbox', taskId);
+  }
+  if (stale.length > 0) {
+    log(`Recovered ${stale.length} task(s) from processing back to inbox.`);
+  }
+}
 
-    if (attempt + 1 < maxAttempts) {
-      task.attempt = attempt + 1;
-      task.lastError = (result.stderr || `exit_${result.status}`).slice(0, 5000);
-      task.lastTriedAt = nowIso();
-      writeJson(processingPath, task);
-      const requeuedPath = moveFileToDir(processingPath, dirs.inbox, `retry-${Date.now()}`);
-      appendEvent(logPath, {
-        at: nowIso(),
-        status: 'retrying',
-        taskId,
-        attempt: task.attempt,
-        maxAttempts,
-        taskFile: requeuedPath,
-        runDir,
-        agent: agent.name,
-      });
-      if (config.cleanupWorktreeOnFailure && worktree) {
-        cleanupWorktree(repoRoot, worktree.worktreePath);
-      }
-      return true;
+function resolveTimeoutMs(task, agent, config) {
+  const raw = task.timeoutMs ?? agent.timeoutMs ?? config.defaultTimeoutMs;
+  const timeoutMs = Number(raw);
+  if (!Number.isFinite(timeoutMs) || timeoutMs <= 0) {
+    return 0;
+  }
+  return timeoutMs;
+}
+
+function killProcessGroup(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    try {
+      child.kill(signal);
+    } catch {
+      // process already exited
     }
+  }
+}
 
-    const failedPath = moveFileToDir(processingPath, dirs.failed, String(Date.now()));
-    appendEvent(logPath, {
-      at: nowIso(),
-      status: 'failed',
-      reason: `exit_${result.status}`,
-      taskId,
-      taskFile: failedPath,
-      runDir,
-      agent: agent.name,
-      tool: agent.command,
-      branch: worktree?.branch || null,
-    });
-    if (config.cleanupWorktreeOnFailure && worktree) {
-      cleanupWorktree(repoRoot, worktree.worktreePath);
+/**
+ * Signals the process group of every agent or verify command still running. Used when the daemon
+ * exits without draining, so no agent keeps working in a worktree that recovery will hand out again.
+ */
+function killActiveChildren(scheduler, signal) {
+  for (const control of scheduler.active.values()) {
+    if (control.child) {
+      killProcessGroup(control.child, signal);
     }
-    return true;
-  } catch (error) {
-    const failedPath = moveFileToDir(processingPath, dirs.failed, String(Date.now()));
-    appendEvent(logPath, {
-      at: nowIso(),
-      status: 'failed',
-      reason: 'runtime_exception',
-      taskId,
-      taskFile: failedPath,
-      runDir,
-      error: String(error),
-      agent: agent.name,
-      tool: agent.command,
-      branch: worktree?.branch || null,
-    });
-    return true;
   }
 }
 
-async function main() {
+function failureReason(result) {
+  if (result.cancelled) {
+    return 'cancelled';
+  }
+  if (result.timedOut) {
+    return 'timeout';
+  }
+  // Killed from outside (OOM killer, a user's kill): name the signal rather than a null exit code.
+  if (result.status === null && result.signal) {
+    return `signal_${result.signal}`;
+  }
+  return `exit_${result.status}`;
+}
+
+const ERROR_TAIL_CHARS = 5000;
+
+function rotateLogFiles(filePath, keep) {
+  fs.rmSync(`${filePath}.${keep}`, { force: true });
+  for (let index = keep - 1; index >= 1; index -= 1) {
+    if (fs.existsSync(`${filePath}.${index}`)) {
+      fs.renameSync(`${filePath}.${index}`, `${filePath}.${index + 1}`);
+    }
+  }
+  fs.renameSync(filePath, `${filePath}.1`);
+}
+
+function createLogSink(filePath, output) {
+  let fd = fs.openSync(filePath, 'w');
+  let written = 0;
+  let tail = '';
+  const stats = { bytes: 0, truncated: false, rotations: 0 };
+
+  return {
+    stats,
+    tail: () => tail,
+    write(chunk) {
+      stats.bytes += chunk.length;
+      tail = `${tail}${chunk.toString('utf8')}`.slice(-ERROR_TAIL_CHARS);
+      if (stats.truncated) {
+        return;
+      }
+      // A chunk that crosses the limit is split: the part that fits stays in this file and the
+      // rest goes to the next rotated file, or is dropped when truncating.
+      let rest = chunk;
+      while (output.maxBytes > 0 && written + rest.length > output.maxBytes) {
+        const room = Math.max(0, output.maxBytes - written);
+        fs.writeSync(fd, rest.subarray(0, room));
+        rest = rest.subarray(room);
+        if (output.overflow !== 'rotate') {
+          fs.writeSync(fd, `\n[autodelegate: output truncated after ${output.maxBytes} bytes]\n`);
+          stats.truncated = true;
+          return;
+        }
+        fs.closeSync(fd);
+        rotateLogFiles(filePath, output.keep);
+        fd = fs.openSync(filePath, 'w');
+        written = 0;
+        stats.rotations += 1;
+      }
+      fs.writeSync(fd, rest);
+      written += rest.length;
+    },
+    close() {
+      fs.closeSync(fd);
+    },
+  };
+}
+
+function resolveLogOutput(config) {
+  const maxBytes = Number(config.logMaxBytes);
+  return {
+    maxBytes: Number.isFinite(maxBytes) && maxBytes > 0 ? maxBytes : 0,
+    overflow: config.logOverflow === 'rotate' ? 'rotate' : 'truncate',
+    keep: positiveLimit(config.logRotateKeep, DEFAULT_CONFIG.logRotateKeep),
+  };
+}
+
+function runAgent(agent, task, prompt, cwd, limits = {}) {
+  const args = [
+    ...agent.defaultArgs,
+    ...(Array.isArray(task.commandArgs) ? task.commandArgs.map(String) : []),
+  ];
+  const commandArgs = agent.promptMode === 'stdin' ? args : [...args, prompt];
+
+  return new Promise((resolve) => {
+    // Output is streamed straight into the run directory so a running task can be followed live.
+    const stdout = createLogSink(limits.stdoutPath, limits.output);
+    const stderr = createLogSink(limits.stderrPath, limits.output);
+    const timers = [];
+    let settled = false;
+    let timedOut = false;
+    let cancelled = false;
+    let parser = limits.parser || null;
+    let parseError = null;
+
+    // A broken parser must not take the run down with it; stdout.log still has everything.
+    const parse = (step) => {
+      if (!parser) {
+        return null;
+      }
+      try {
+        return step(parser);
+      } catch (error) {
+        parseError = String(error.message || error);
+        parser = null;
+        return null;
+      }
+    };
+
+    const finish = (status, signal, error) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      timers.forEach(clearTimeout);
+      stdout.close();
+      stderr.close();
+      const parsed = parse((active) => active.end());
+      resolve({
+        status,
+        signal,
+        error,
+        timedOut,
+        cancelled,
+        stderr: stderr.tail(),
+        output: {
+          stdoutBytes: stdout.stats.bytes,
+          stderrBytes: stderr.stats.bytes,
+          truncated: stdout.stats.truncated || stderr.stats.truncated,
+          rotations: stdout.stats.rotations + stderr.stats.rotations,
+        },
+        parsed: parsed || (parseError ? { parseError } : null),
+      });
+    };
+
+    // Agents run in their own process group so a terminal Ctrl-C only reaches
+    // the daemon, which then lets in-flight tasks drain.
+    const child = spawn(agent.command, commandArgs, {
+      cwd,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      detached: true,
+      env: {
+        ...process.env,
+        ...(agent.env || {}),
+        ...(task.env || {}),
+      },
+    });
+
+    child.stdout.on('data', (chunk) => {
+      stdout.write(chunk);
+      parse((active) => active.write(chunk));
+    });
+    child.stderr.on('data', (chunk) => stderr.write(chunk));
+    child.on('error', (error) => finish(null, null, error));
+    child.on('close', (status, signal) => finish(status, signal, undefined));
+    if (limits.control) {
+      limits.control.child = child;
+    }
+
+    const terminate = () => {
+      killProcessGroup(child, 'SIGTERM');
+      timers.push(setTimeout(() => killProcessGroup(child, 'SIGKILL'), limits.killGraceMs));
+    };
+
+    if (limits.timeoutMs > 0) {
+      timers.push(
+        setTimeout(() => {
+          timedOut = true;
+          terminate();
+        }, limits.timeoutMs),
+      );
+    }
+
+    if (limits.control) {
+      limits.control.cancel = () => {
+        if (settled || cancelled) {
+          return;
+        }
+        cancelled = true;
+        terminate();
+      };
+    }
+
+    child.stdin.on('error', () => {});
+    if (agent.promptMode === 'stdin') {
+      child.stdin.end(prompt);
+    } else {
+      child.stdin.end();
+    }
+  });
+}
+
+/**
+ * Writes the parsed final answer to `result.md` and returns the fields recorded in `summary.json`.
+ * A cost reported by the CLI wins over one estimated from the agent's `pricing`.
+ */
+function recordAgentOutput(runDir, parsed, agent) {
+  const fields = { outputFormat: agent.outputFormat || 'text', resultFile: null, usage: null, costUsd: null };
+  if (!parsed) {
+    return fields;
+  }
+  if (typeof parsed.result === 'string' && parsed.result.trim()) {
+    fields.resultFile = path.join(runDir, 'result.md');
+    fs.writeFileSync(fields.resultFile, `${parsed.result.trim()}\n`, 'utf8');
+  }
+  fields.usage = parsed.usage && typeof parsed.usage === 'object' ? parsed.usage : null;
+  const reported = Number(parsed.costUsd);
+  if (parsed.costUsd !== null && parsed.costUsd !== undefined && Number.isFinite(reported)) {
+    fields.costUsd = reported;
+  } else {
+    fields.costUsd = estimateCostUsd(fields.usage, agent.pricing);
+  }
+  for (const key of ['model', 'sessionId', 'turns', 'toolCalls', 'isError', 'skippedLines', 'parseError']) {
+    if (parsed[key] !== undefined && parsed[key] !== null) {
+      fields[key] = parsed[key];
+    }
+  }
+  return fields;
+}
+
+function totalCostUsd(attempts) {
+  const costs = attempts.map((entry) => entry.costUsd).filter(Number.isFinite);
+  return costs.length ? Math.round(costs.reduce((sum, cost) => sum + cost, 0) * 1e6) / 1e6 : undefined;
+}
+
+function resolveVerifySteps(task, config) {
+  const raw = task.verify ?? config.verify ?? [];
+  return (Array.isArray(raw) ? raw : [raw])
+    .map((entry) => (typeof entry === 'string' ? { command: entry } : entry))
+    .filter((entry) => entry && typeof entry.command === 'string' && entry.command.trim());
+}
+
+function runVerifyStep(step, cwd, env, sink, limits) {
+  return new Promise((resolve) => {
+    const startedAt = Date.now();
+    const timers = [];
+    let settled = false;
+    let timedOut = false;
+    let cancelled = false;
+
+    const finish = (exitCode, signal, error) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      timers.forEach(clearTimeout);
+      resolve({
+        command: step.command,
+        exitCode,
+        signal,
+        timedOut,
+        cancelled,
+        error: error ? String(error) : undefined,
+        durationMs: Date.now() - startedAt,
+      });
+    };
+
+    const child = spawn(step.command, {
+      cwd,
+      env,
+      shell: true,
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    child.stdout.on('data', (chunk) => sink.write(chunk));
+    child.stderr.on('data', (chunk) => sink.write(chunk));
+    child.on('error', (error) => finish(null, null, error));
+    child.on('close', (exitCode, signal) => finish(exitCode, signal, undefined));
+    limits.control.child = child;
+
+    const terminate = () => {
+      killProcessGroup(child, 'SIGTERM');
+      timers.push(setTimeout(() => killProcessGroup(child, 'SIGKILL'), limits.killGraceMs));
+    };
+    const timeoutMs = Number(step.timeoutMs) > 0 ? Number(step.timeoutMs) : limits.timeoutMs;
+    if (timeoutMs > 0) {
+      timers.push(
+        setTimeout(() => {
+          timedOut = true;
+          terminate();
+        }, timeoutMs),
+      );
+    }
+    limits.control.cancel = () => {
+      if (settled || cancelled) {
+        return;
+      }
+      cancelled = true;
+      terminate();
+    };
+  });
+}
+
+/**
+ * Runs the `verify` commands one after another in the run's cwd, stopping at the first failure.
+ * Their combined output goes to verify.log; the tail becomes the error fed into the next attempt.
+ */
+async function runVerify(steps, cwd, env, limits) {
+  const sink = createLogSink(limits.logPath, limits.output);
+  const results = [];
+  let failed = null;
+  try {
+    for (const step of steps) {
+      sink.write(Buffer.from(`$ ${step.command}\n`));
+      const result = await runVerifyStep(step, cwd, env, sink, limits);
+      results.push(result);
+      sink.write(Buffer.from(`[exit ${result.exitCode ?? result.signal ?? 'error'}${result.timedOut ? ', timed out' : ''}]\n\n`));
+      if (result.cancelled || result.exitCode !== 0) {
+        failed = result;
+        break;
+      }
+    }
+  } finally {
+    sink.close();
+  }
+  return {
+    passed: !failed,
+    cancelled: Boolean(failed?.cancelled),
+    steps: results,
+    error: failed
+      ? `verification failed: \`${failed.command}\` ${failed.timedOut ? 'timed out' : `exited ${failed.exitCode ?? failed.signal}`}\n\n${sink.tail()}`
+      : undefined,
+  };
+}
+
+/**
+ * Appends the failed checks of the previous attempt. They are framed as something to fix only when
+ * that attempt's changes are in this run's tree (a resumed worktree, or no worktree at all).
+ */
+function withVerifyFeedback(task, prompt, worktree) {
+  if (task.lastReason !== 'verify_failed' || !task.lastError) {
+    return prompt;
+  }
+  const intro =
+    !worktree || worktree.resumed
+      ? "Your previous attempt's changes are still in this tree. Fix the problems below; the same checks run again after this attempt."
+      : 'The previous attempt ran in a worktree that is no longer available and its changes are not here. ' +
+        'Its checks failed with the output below; use it as context, the same checks run again after this attempt.';
+  return `${prompt}\n\n# Previous attempt failed verification\n\n${intro}\n\n${task.lastError}`;
+}
+
+function dependencyStatus(task, dirs) {
+  const pending = [];
+  const failed = [];
+  for (const depId of taskDependencies(task)) {
+    const entry = lookupTask(dirs.home, depId);
+    if (entry?.state === 'failed' || entry?.state === 'cancelled') {
+      failed.push(depId);
+    } else if (entry?.state !== 'completed') {
+      pending.push(depId);
+    }
+  }
+  return { pending, failed };
+}
+
+function failBlockedTask(context, inboxPath, task, failedDeps) {
+  const { dirs, logPath } = context;
+  const taskId = task.id || path.basename(inboxPath, '.json');
+  task.lastError = `dependency failed: ${failedDeps.join(', ')}`;
+  task.lastReason = 'dependency_failed';
+  writeJson(inboxPath, task);
+  const failedPath = moveTask(dirs, inboxPath, 'failed', taskId);
+  appendEvent(logPath, {
+    at: nowIso(),
+    status: 'failed',
+    reason: 'dependency_failed',
+    taskId,
+    dependsOn: failedDeps,
+    taskFile: failedPath,
+  });
+}
+
+function readDependencyOutput(entry, mode, maxChars) {
+  let runDir = '';
+  try {
+    runDir = readJson(entry.filePath).lastRunDir || '';
+  } catch {
+    return '';
+  }
+  if (!runDir) {
+    return '';
+  }
+  // Summaries use the parsed final answer when the agent's output format produced one.
+  const resultPath = path.join(runDir, 'result.md');
+  const stdoutPath = path.join(runDir, 'stdout.log');
+  const sourcePath = mode === 'summary' && fs.existsSync(resultPath) ? resultPath : stdoutPath;
+  if (!fs.existsSync(sourcePath)) {
+    return '';
+  }
+  // Only the end of a large log is read: a UTF-8 character takes at most 4 bytes.
+  const size = fs.statSync(sourcePath).size;
+  const length = Math.min(size, maxChars * 4 + 4);
+  const buffer = Buffer.alloc(length);
+  const fd = fs.openSync(sourcePath, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, length, size - length);
+  } finally {
+    fs.closeSync(fd);
+  }
+  const output = buffer.toString('utf8').trim();
+  if (length < size || output.length > maxChars) {
+    return `[... truncated to last ${maxChars} characters ...]\n${output.slice(-maxChars).trim()}`;
+  }
+  return output;
+}
+
+function withDependencyOutput(task, prompt, context) {
+  const mode = task.dependencyOutput || context.config.dependencyOutput || 'none';
+  const deps = taskDependencies(task);
+  if (!deps.length || (mode !== 'full' && mode !== 'summary')) {
+    return prompt;
+  }
+
+  const maxChars =
+    mode === 'full'
+      ? positiveLimit(context.config.dependencyOutputFullMaxChars, DEFAULT_CONFIG.dependencyOutputFullMaxChars)
+      : positiveLimit(context.config.dependencyOutputMaxChars, 4000);
+  const sections = [];
+  for (const depId of deps) {
+    const entry = lookupTask(context.dirs.home, depId);
+    const output = entry ? readDependencyOutput(entry, mode, maxChars) : '';
+    if (output) {
+      sections.push(`## Output of upstream task ${depId}\n\n${output}`);
+    }
+  }
+  if (!sections.length) {
+    return prompt;
+  }
+  return `${prompt}\n\n# Upstream task results\n\n${sections.join('\n\n')}`;
+}
+
+const PROMPT_TOKEN = /\{\{\s*(\w+)(?::([^}]*?))?\s*\}\}/g;
+
+function templateError(message) {
+  const error = new Error(message);
+  error.reason = 'template_error';
+  return error;
+}
+
+function loadPromptTemplate(dirs, name) {
+  const fileName = String(name).endsWith('.md') ? String(name) : `${name}.md`;
+  const filePath = path.resolve(dirs.prompts, fileName);
+  if (path.relative(dirs.prompts, filePath).startsWith('..') || !fs.existsSync(filePath)) {
+    throw templateError(`prompt template not found: ${path.join(dirs.prompts, fileName)}`);
+  }
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+function includeFile(baseDir, target) {
+  const filePath = path.resolve(baseDir, target);
+  if (path.relative(baseDir, filePath).startsWith('..')) {
+    throw templateError(`{{file:${target}}} points outside ${baseDir}`);
+  }
+  try {
+    return fs.readFileSync(filePath, 'utf8').replace(/\n$/, '');
+  } catch (error) {
+    throw templateError(`{{file:${target}}} could not be read: ${error.code || error.message}`);
+  }
+}
+
+function includeDiff(cwd, ref) {
+  if (ref.startsWith('-')) {
+    throw templateError(`{{diff:${ref}}} is not a valid ref`);
+  }
+  const result = git(cwd, ['diff', ref || 'HEAD', '--']);
+  if (result.status !== 0) {
+    throw templateError(`{{diff${ref ? `:${ref}` : ''}}} failed: ${(result.stderr || '').trim()}`);
+  }
+  return result.stdout.replace(/\n$/, '');
+}
+
+function includeTaskOutput(context, depId) {
+  const entry = lookupTask(context.dirs.home, depId);
+  if (!entry) {
+    throw templateError(`{{output:${depId}}} refers to an unknown task`);
+  }
+  return readDependencyOutput(entry, 'summary', positiveLimit(context.config.dependencyOutputMaxChars, 4000));
+}
+
+/**
+ * Renders `<home>/prompts/<task.template>.md`: `{{name}}` is replaced by a run variable or a
+ * `task.vars` entry, while `{{file:path}}`, `{{diff}}`, `{{diff:<ref>}}` and `{{output:<taskId>}}`
+ * include a file from the run directory, `git diff` output or an upstream task's output.
+ */
+function renderPromptTemplate(context, template, vars, runCwd) {
+  return template.replace(PROMPT_TOKEN, (match, key, arg) => {
+    if (arg === undefined) {
+      return vars[key] === undefined || vars[key] === null ? '' : String(vars[key]);
+    }
+    const target = arg.trim();
+    if (key === 'file') {
+      return includeFile(runCwd, target);
+    }
+    if (key === 'diff') {
+      return includeDiff(runCwd, target);
+    }
+    if (key === 'output') {
+      return includeTaskOutput(context, target);
+    }
+    throw templateError(`unknown prompt include {{${key}:${target}}}`);
+  });
+}
+
+function buildPrompt(context, { task, taskId, agent, attempt, worktree, runCwd }) {
+  let prompt = typeof task.prompt === 'string' ? task.prompt : '';
+  let mentionsLastError = false;
+  if (task.template) {
+    const template = loadPromptTemplate(context.dirs, task.template);
+    mentionsLastError = /\{\{\s*lastError\s*\}\}/.test(template);
+    const custom = task.vars && typeof task.vars === 'object' ? task.vars : {};
+    prompt = renderPromptTemplate(
+      context,
+      template,
+      {
+        ...custom,
+        taskId,
+        title: task.title || taskId,
+        prompt,
+        agent: agent.name,
+        attempt,
+        repoRoot: context.repoRoot,
+        cwd: runCwd,
+        worktree: worktree?.worktreePath || '',
+        branch: worktree?.branch || '',
+        baseRef: worktree?.baseRef || '',
+        baseSha: worktree?.baseSha || '',
+        lastError: task.lastError || '',
+      },
+      runCwd,
+    ).trim();
+  }
+  prompt = withDependencyOutput(task, prompt, context);
+  // A template that places {{lastError}} itself already carries the verification feedback.
+  return mentionsLastError ? prompt : withVerifyFeedback(task, prompt, worktree);
+}
+
+function taskCreatedAtMs(task, filePath) {
+  const createdAt = Date.parse(task.createdAt || '');
+  if (Number.isFinite(createdAt)) {
+    return createdAt;
+  }
+  try {
+    return fs.statSync(filePath).mtimeMs;
+  } catch {
+    return Date.now();
+  }
+}
+
+function effectivePriority(task, createdAtMs, config, now) {
+  const base = Number(task.priority) || 0;
+  const agingMs = Number(config.priorityAgingMs);
+  if (!Number.isFinite(agingMs) || agingMs <= 0) {
+    return base;
+  }
+  // Every agingMs spent waiting raises priority by one so low-priority work is never starved.
+  return base + Math.floor(Math.max(0, now - createdAtMs) / agingMs);
+}
+
+function orderInbox(inboxDir, config) {
+  const now = Date.now();
+  const entries = listFiles(inboxDir, '.json').map((fileName) => {
+    const inboxPath = path.join(inboxDir, fileName);
+    let task = null;
+    try {
+      task = readJson(inboxPath);
+    } catch {
+      // invalid payloads are still claimed so processOneTask can move them to failed
+    }
+    const createdAtMs = taskCreatedAtMs(task || {}, inboxPath);
+    return {
+      fileName,
+      inboxPath,
+      task,
+      createdAtMs,
+      priority: task ? effectivePriority(task, createdAtMs, config, now) : Infinity,
+    };
+  });
+
+  // Highest effective priority first, then FIFO by original creation time. Retries and
+  // requeues keep their createdAt and file name, so they do not jump the queue.
+  return entries.sort(
+    (a, b) => b.priority - a.priority || a.createdAtMs - b.createdAtMs || a.fileName.localeCompare(b.fileName),
+  );
+}
+
+/**
+ * Applies `control/cancel-*.json` markers (named by `cancelMarkerPath`). A marker is matched by the
+ * `taskId` it contains, so markers written under older file names are still honoured.
+ */
+function processCancelRequests(context) {
+  const { dirs, scheduler } = context;
+
+  for (const fileName of listFiles(dirs.control, '.json').filter((name) => name.startsWith('cancel-'))) {
+    const markerPath = path.join(dirs.control, fileName);
+    let taskId = '';
+    try {
+      taskId = String(readJson(markerPath).taskId || '');
+    } catch {
+      // malformed markers are dropped below
+    }
+
+    const active = taskId ? scheduler.active.get(taskId) : null;
+    if (active) {
+      log(`Cancelling running task ${taskId}.`);
+      active.cancel();
+      fs.rmSync(markerPath, { force: true });
+      continue;
+    }
+
+    const found = taskId ? lookupTask(dirs.home, taskId) : null;
+    if (found?.state === 'inbox') {
+      try {
+        cancelQueuedTask(dirs.home, found.filePath, taskId);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        // cancelled or requeued by another process in the meantime
+      }
+      fs.rmSync(markerPath, { force: true });
+      continue;
+    }
+
+    // A task still in processing without a live run belongs to a previous daemon; it is
+    // recovered into the inbox on restart, so keep the marker until then.
+    if (found?.state !== 'processing') {
+      fs.rmSync(markerPath, { force: true });
+    }
+  }
+}
+
+function claimNextTask(context) {
+  const { config, dirs, agents, scheduler } = context;
+
+  const now = Date.now();
+  for (const { fileName, inboxPath, task } of orderInbox(dirs.inbox, config)) {
+    if (task && Date.parse(task.notBefore || '') > now) {
+      continue;
+    }
+
+    const taskId = task?.id || path.basename(fileName, '.json');
+    let route = null;
+    if (task) {
+      const deps = dependencyStatus(task, dirs);
+      if (deps.failed.length) {
+        failBlockedTask(context, inboxPath, task, deps.failed);
+        continue;
+      }
+      if (deps.pending.length) {
+        continue;
+      }
+      route = routeTask(task, agents, config, scheduler);
+      if (!isRoutable(context, route, taskId)) {
+        continue;
+      }
+    }
+    const agent = route?.agent;
+    if (agent && !hasAgentCapacity(agent, config, scheduler)) {
+      continue;
+    }
+    if (agent && isQuotaPaused(context, agent, taskId)) {
+      continue;
+    }
+    const processingPath = path.join(dirs.processing, taskFileName(taskId));
+    try {
+      fs.renameSync(inboxPath, processingPath);
+    } catch {
+      continue;
+    }
+    recordTaskState(dirs.home, taskId, 'processing', processingPath);
+    return { fileName, processingPath, route };
+  }
+
+  return null;
+}
+
+async function processOneTask(context, claim) {
+  const { config, dirs, agents, logPath, scheduler } = context;
+  const { fileName, processingPath } = claim;
+
+  let task;
+  try {
+    task = readJson(processingPath);
+  } catch (error) {
+    const failedPath = moveTask(dirs, processingPath, 'failed', path.basename(fileName, '.json'));
+    appendEvent(logPath, {
+      at: nowIso(),
+      status: 'failed',
+      reason: 'invalid_json',
+      file: failedPath,
+      error: String(error),
+    });
+    return;
+  }
+
+  const taskId = task.id || path.basename(fileName, '.json');
+  const prompt = typeof task.prompt === 'string' ? task.prompt : '';
+  if (!prompt.trim() && !task.template) {
+    const failedPath = moveTask(dirs, processingPath, 'failed', taskId);
+    appendEvent(logPath, {
+      at: nowIso(),
+      status: 'failed',
+      reason: 'missing_prompt',
+      taskId,
+      file: failedPath,
+    });
+    return;
+  }
+
+  const { agent, routing } = claim.route || routeTask(task, agents, config, scheduler);
+  if (!agent) {
+    moveTask(dirs, processingPath, 'inbox', taskId);
+    return;
+  }
+
+  reserveAgent(scheduler, agent.name);
+  const usage = usageEntry(agent.name, Date.now());
+  scheduler.usage.push(usage);
+  try {
+    await executeTask(context, { task, taskId, agent, routing, processingPath });
+  } finally {
+    releaseAgent(scheduler, agent.name);
+    recordRunUsage(context, usage, task, taskId);
+  }
+}
+
+function resolveRetryPolicy(task, config) {
+  return {
+    ...DEFAULT_CONFIG.retryPolicy,
+    ...(config.retryPolicy && typeof config.retryPolicy === 'object' ? config.retryPolicy : {}),
+    ...(task.retryPolicy && typeof task.retryPolicy === 'object' ? task.retryPolicy : {}),
+  };
+}
+
+function isRetryableReason(reason, policy) {
+  const patterns = Array.isArray(policy.retryableReasons) ? policy.retryableReasons.map(String) : [];
+  return patterns.some((pattern) =>
+    pattern.endsWith('*') ? reason.startsWith(pattern.slice(0, -1)) : reason === pattern,
+  );
+}
+
+function retryDelayMs(policy, attempt) {
+  const base = Math.max(0, Number(policy.baseDelayMs) || 0);
+  const multiplier = Math.max(1, Number(policy.multiplier) || 1);
+  const maxDelay = Number(policy.maxDelayMs) > 0 ? Number(policy.maxDelayMs) : Infinity;
+  const delay = Math.min(maxDelay, base * multiplier ** Math.max(0, attempt - 1));
+  const jitter = Math.min(1, Math.max(0, Number(policy.jitter) || 0));
+  // Spread retries by +/- jitter so a burst of failures does not come back in lockstep.
+  return Math.round(delay * (1 + jitter * (Math.random() * 2 - 1)));
+}
+
+function settleFailedAttempt(context, { task, taskId, processingPath, agent, runDir, worktree, reason, error }) {
+  const { config, dirs, repoRoot, logPath } = context;
+  const maxAttempts = Number(task.maxAttempts ?? config.defaultMaxAttempts ?? 1);
+  const attempt = Number(task.attempt ?? 0);
+  const policy = resolveRetryPolicy(task, config);
+
+  task.lastError = String(error || reason).slice(0, 5000);
+  task.lastReason = reason;
+  task.lastTriedAt = nowIso();
+
+  const retrying = attempt + 1 < maxAttempts && isRetryableReason(reason, policy);
+  // The retry is asked to fix what failed verification, so it has to run on that work.
+  const resumeWorktree = Boolean(retrying && reason === 'verify_failed' && worktree);
+  if (resumeWorktree) {
+    task.verifyRetry = {
+      branch: worktree.branch,
+      baseRef: worktree.baseRef,
+      baseSha: worktree.baseSha,
+      uncommittedBase: worktree.uncommittedBase,
+    };
+  } else {
+    delete task.verifyRetry;
+  }
+
+  if (retrying) {
+    task.attempt = attempt + 1;
+    const delayMs = retryDelayMs(policy, task.attempt);
+    if (delayMs > 0) {
+      task.notBefore = new Date(Date.now() + delayMs).toISOString();
+    } else {
+      delete task.notBefore;
+    }
+    writeJson(processingPath, task);
+    const requeuedPath = moveTask(dirs, processingPath, 'inbox', taskId);
+    appendEvent(logPath, {
+      at: nowIso(),
+      status: 'retrying',
+      reason,
+      taskId,
+      attempt: task.attempt,
+      maxAttempts,
+      notBefore: task.notBefore || null,
+      taskFile: requeuedPath,
+      runDir,
+      agent: agent.name,
+    });
+  } else {
+    writeJson(processingPath, task);
+    const failedPath = moveTask(dirs, processingPath, 'failed', taskId);
+    appendEvent(logPath, {
+      at: nowIso(),
+      status: 'failed',
+      reason,
+      taskId,
+      taskFile: failedPath,
+      runDir,
+      error: ['runtime_exception', 'template_error', 'output_parser_error'].includes(reason) ? task.lastError : undefined,
+      agent: agent.name,
+      tool: agent.command,
+      branch: worktree?.branch || null,
+    });
+  }
+
+  if (config.cleanupWorktreeOnFailure && worktree && !resumeWorktree) {
+    cleanupWorktree(repoRoot, worktree.worktreePath);
+  }
+}
+
+function allocateRunDir(runsDir, taskId, attemptNumber) {
+  const taskRunsDir = path.join(runsDir, taskRunsKey(taskId));
+  let number = attemptNumber;
+  while (fs.existsSync(path.join(taskRunsDir, `attempt-${number}`))) {
+    number += 1;
+  }
+  const runDir = path.join(taskRunsDir, `attempt-${number}`);
+  ensureDir(runDir);
+  return { runDir, number };
+}
+
+function finishAttempt(record, startedAt, fields) {
+  Object.assign(record, {
+    ...fields,
+    finishedAt: nowIso(),
+    durationMs: Date.now() - startedAt,
+  });
+  if (record.error) {
+    record.error = String(record.error).slice(0, 1000);
+  }
+}
+
+function settleCancelledAttempt(context, { task, taskId, processingPath, agent, runDir, worktree }) {
+  const { config, dirs, repoRoot, logPath } = context;
+  task.cancelledAt = nowIso();
+  task.lastReason = 'cancelled';
+  writeJson(processingPath, task);
+  const cancelledPath = moveTask(dirs, processingPath, 'cancelled', taskId);
+  appendEvent(logPath, {
+    at: nowIso(),
+    status: 'cancelled',
+    reason: 'cancelled',
+    taskId,
+    taskFile: cancelledPath,
+    runDir,
+    agent: agent.name,
+    tool: agent.command,
+    branch: worktree?.branch || null,
+  });
+  if (config.cleanupWorktreeOnFailure && worktree) {
+    cleanupWorktree(repoRoot, worktree.worktreePath);
+  }
+}
+
+async function executeTask(context, { task, taskId, agent, routing, processingPath }) {
+  const { config, dirs, repoRoot, logPath, scheduler } = context;
+
+  const previousAttempts = Array.isArray(task.attempts) ? task.attempts : [];
+  const { runDir, number: attempt } = allocateRunDir(dirs.runs, taskId, previousAttempts.length + 1);
+  const startedAt = Date.now();
+  const record = {
+    attempt,
+    status: 'running',
+    agent: agent.name,
+    runDir,
+    startedAt: new Date(startedAt).toISOString(),
+  };
+  task.attempts = [...previousAttempts, record];
+  writeJson(processingPath, task);
+
+  fs.writeFileSync(path.join(runDir, 'task.json'), `${JSON.stringify(task, null, 2)}\n`, 'utf8');
+
+  let worktree = null;
+
+  try {
+    if (agent.useWorktree) {
+      worktree = createWorktree(context, task, agent, taskId, attempt);
+    }
+
+    const runCwd = resolveRunCwd(repoRoot, worktree?.worktreePath || null, task.cwd);
+    const prompt = buildPrompt(context, { task, taskId, agent, attempt, worktree, runCwd });
+    if (!prompt.trim()) {
+      throw templateError(`prompt template ${task.template} rendered an empty prompt`);
+    }
+    fs.writeFileSync(path.join(runDir, 'prompt.txt'), `${prompt}\n`, 'utf8');
+    const parser = await createOutputParser(agent.outputFormat, { baseDir: dirs.home, agent: agent.name });
+    const timeoutMs = resolveTimeoutMs(task, agent, config);
+    writeJson(path.join(runDir, 'summary.json'), {
+      status: 'running',
+      taskId,
+      attempt,
+      agent: agent.name,
+      tool: agent.command,
+      startedAt: record.startedAt,
+      runDir,
+      worktree: worktree?.worktreePath || null,
+      branch: worktree?.branch || null,
+      baseRef: worktree?.baseRef || null,
+      baseSha: worktree?.baseSha || null,
+      uncommittedBase: worktree?.uncommittedBase || undefined,
+      continuedBranch: worktree?.continued || false,
+      routing,
+    });
+    const control = {};
+    scheduler.active.set(taskId, control);
+    const killGraceMs = Number(config.killGraceMs) >= 0 ? Number(config.killGraceMs) : DEFAULT_CONFIG.killGraceMs;
+    let result;
+    let verification = null;
+    try {
+      result = await runAgent(agent, task, prompt, runCwd, {
+        timeoutMs,
+        killGraceMs,
+        stdoutPath: path.join(runDir, 'stdout.log'),
+        stderrPath: path.join(runDir, 'stderr.log'),
+        output: resolveLogOutput(config),
+        parser,
+        control,
+      });
+      const verifySteps = resolveVerifySteps(task, config);
+      if (verifySteps.length && result.status === 0 && !result.timedOut && !result.cancelled) {
+        verification = await runVerify(verifySteps, runCwd, { ...process.env, ...(agent.env || {}), ...(task.env || {}) }, {
+          logPath: path.join(runDir, 'verify.log'),
+          output: resolveLogOutput(config),
+          timeoutMs: positiveLimit(config.verifyTimeoutMs, DEFAULT_CONFIG.verifyTimeoutMs),
+          killGraceMs,
+          control,
+        });
+      }
+    } finally {
+      scheduler.active.delete(taskId);
+    }
+    const agentOutput = recordAgentOutput(runDir, result.parsed, agent);
+    const cancelled = result.cancelled || Boolean(verification?.cancelled);
+    const verifyFailed = Boolean(verification && !verification.passed && !cancelled);
+    const succeeded = result.status === 0 && !result.timedOut && !cancelled && !verifyFailed;
+    const changes = cancelled ? null : collectChanges(context, { task, taskId, agent, attempt, worktree, runDir, succeeded });
+    const noChanges = succeeded && changes?.filesChanged === 0;
+    let reason = succeeded ? (noChanges ? 'no_changes' : null) : failureReason(result);
+    let error = succeeded ? undefined : result.timedOut ? `timeout after ${timeoutMs}ms` : result.stderr || reason;
+    if (verification?.cancelled) {
+      reason = 'cancelled';
+      error = 'cancelled';
+    } else if (verifyFailed) {
+      reason = 'verify_failed';
+      error = verification.error;
+    }
+
+    finishAttempt(record, startedAt, {
+      status: cancelled ? 'cancelled' : succeeded ? 'completed' : 'failed',
+      exitCode: result.status,
+      signal: result.signal,
+      reason,
+      branch: worktree?.branch || null,
+      error,
+      usage: agentOutput.usage || undefined,
+      costUsd: agentOutput.costUsd ?? undefined,
+    });
+    task.costUsd = totalCostUsd(task.attempts);
+
+    const summary = {
+      status: record.status,
+      reason,
+      taskId,
+      attempt,
+      agent: agent.name,
+      tool: agent.command,
+      startedAt: record.startedAt,
+      finishedAt: record.finishedAt,
+      durationMs: record.durationMs,
+      exitCode: result.status,
+      signal: result.signal,
+      timeoutMs: timeoutMs || null,
+      output: result.output,
+      ...agentOutput,
+      verify: verification ? { passed: verification.passed, steps: verification.steps } : null,
+      changes,
+      runDir,
+      worktree: worktree?.worktreePath || null,
+      branch: worktree?.branch || null,
+      baseRef: worktree?.baseRef || null,
+      baseSha: worktree?.baseSha || null,
+      uncommittedBase: worktree?.uncommittedBase || undefined,
+      continuedBranch: worktree?.continued || false,
+      routing,
+      agentHistory: task.attempts.map((entry) => entry.agent),
+    };
+    writeJson(path.join(runDir, 'summary.json'), summary);
+
+    if (succeeded) {
+      task.lastRunDir = runDir;
+      delete task.lastReason;
+      delete task.verifyRetry;
+      writeJson(processingPath, task);
+      const completedPath = moveTask(dirs, processingPath, 'completed', taskId);
+      appendEvent(logPath, {
+        at: nowIso(),
+        status: 'completed',
+        reason: reason || undefined,
+        taskId,
+        taskFile: completedPath,
+        runDir,
+        agent: agent.name,
+        tool: agent.command,
+        branch: worktree?.branch || null,
+      });
+      await applySuccessPolicy(context, { task, taskId, agent, attempt, completedPath, summary, worktree });
+      if (config.cleanupWorktreeOnSuccess && worktree) {
+        cleanupWorktree(repoRoot, worktree.worktreePath);
+      }
+      return;
+    }
+
+    if (cancelled) {
+      settleCancelledAttempt(context, { task, taskId, processingPath, agent, runDir, worktree });
+      return;
+    }
+
+    settleFailedAttempt(context, {
+      task,
+      taskId,
+      processingPath,
+      agent,
+      runDir,
+      worktree,
+      reason,
+      error,
+    });
+  } catch (error) {
+    const reason = error.reason || 'runtime_exception';
+    finishAttempt(record, startedAt, {
+      status: 'failed',
+      exitCode: null,
+      signal: null,
+      reason,
+      branch: worktree?.branch || null,
+      error: String(error),
+    });
+    writeJson(path.join(runDir, 'summary.json'), {
+      status: 'failed',
+      reason,
+      taskId,
+      attempt,
+      agent: agent.name,
+      tool: agent.command,
+      startedAt: record.startedAt,
+      finishedAt: record.finishedAt,
+      durationMs: record.durationMs,
+      error: record.error,
+      runDir,
+      worktree: worktree?.worktreePath || null,
+      branch: worktree?.branch || null,
+      routing,
+    });
+    settleFailedAttempt(context, {
+      task,
+      taskId,
+      processingPath,
+      agent,
+      runDir,
+      worktree,
+      reason,
+      error: String(error),
+    });
+  }
+}
+
+const HTTP_BODY_LIMIT = 1024 * 1024;
+
+function parseListenAddress(value) {
+  const match = /^(?:(.+):)?(\d+)$/.exec(String(value));
+  if (!match) {
+    throw new Error('--http must be <port> or <host>:<port>');
+  }
+  return { host: match[1] || '127.0.0.1', port: Number(match[2]) };
+}
+
+function describeQueuedTask(task, state, filePath) {
+  const attempts = Array.isArray(task.attempts) ? task.attempts : [];
+  const lastAttempt = attempts[attempts.length - 1];
+  return {
+    id: task.id || path.basename(filePath, '.json'),
+    title: task.title || '',
+    state,
+    agent: lastAttempt?.agent || task.agent || null,
+    priority: Number(task.priority) || 0,
+    attempts: attempts.length,
+    createdAt: task.createdAt || null,
+    lastReason: task.lastReason || lastAttempt?.reason || null,
+    notBefore: task.notBefore || null,
+    dependsOn: taskDependencies(task),
+    runDir: lastAttempt?.runDir || null,
+  };
+}
+
+function listQueuedTasks(dirs, states) {
+  const tasks = [];
+  for (const state of states) {
+    for (const fileName of listFiles(dirs[state], '.json')) {
+      const filePath = path.join(dirs[state], fileName);
+      try {
+        tasks.push(describeQueuedTask(readJson(filePath), state, filePath));
+      } catch {
+        // unreadable payloads are reported by the daemon when claimed
+      }
+    }
+  }
+  return tasks;
+}
+
+function listRunAttempts(runsDir, taskId) {
+  const taskRunsDir = path.join(runsDir, taskRunsKey(taskId));
+  if (!fs.existsSync(taskRunsDir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(taskRunsDir)
+    .map((name) => /^attempt-(\d+)$/.exec(name))
+    .filter(Boolean)
+    .map((match) => ({ number: Number(match[1]), runDir: path.join(taskRunsDir, match[0]) }))
+    .sort((a, b) => a.number - b.number);
+}
+
+function selectRunAttempt(runsDir, taskId, attemptParam) {
+  const attempts = listRunAttempts(runsDir, taskId);
+  if (!attemptParam) {
+    return attempts[attempts.length - 1] || null;
+  }
+  return attempts.find((entry) => entry.number === Number(attemptParam)) || null;
+}
+
+function readRunSummary(runDir) {
+  try {
+    return readJson(path.join(runDir, 'summary.json'));
+  } catch {
+    return null;
+  }
+}
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+
+function hostHeaderName(value) {
+  const match = /^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/.exec(String(value || '').trim().toLowerCase());
+  if (!match) {
+    return null;
+  }
+  return { name: match[1].replace(/^\[|\]$/g, ''), port: match[2] ? Number(match[2]) : 80 };
+}
+
+/**
+ * Rejects requests a browser could send on a web page's behalf: a `Host` other than the bound address
+ * (DNS rebinding), an `Origin` other than the server itself, and POSTs that are not `application/json`
+ * (which would skip the CORS preflight this server never approves). Returns an error message or null.
+ */
+function rejectForeignRequest(req, listen) {
+  const host = hostHeaderName(req.headers.host);
+  if (!host || host.port !== listen.port) {
+    return 'Host header does not match the API address.';
+  }
+  const bound = listen.host.toLowerCase().replace(/^\[|\]$/g, '');
+  if (LOOPBACK_HOSTS.includes(bound)) {
+    if (!LOOPBACK_HOSTS.includes(host.name)) {
+      return 'Host header does not match the API address.';
+    }
+  } else if (WILDCARD_HOSTS.includes(bound)) {
+    // Any local address may reach a wildcard bind, but only by IP or localhost, never a DNS name.
+    if (host.name !== 'localhost' && !net.isIP(host.name)) {
+      return 'Host header does not match the API address.';
+    }
+  } else if (host.name !== bound) {
+    return 'Host header does not match the API address.';
+  }
+
+  const origin = req.headers.origin;
+  if (origin !== undefined && origin !== `http://${req.headers.host}`) {
+    return 'Cross-origin requests are not allowed.';
+  }
+
+  if (req.method === 'POST') {
+    const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/json') {
+      return 'POST requests must use Content-Type: application/json.';
+    }
+  }
+  return null;
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'content-type': 'application/json; charset=utf-8' });
+  res.end(`${JSON.stringify(body, null, 2)}\n`);
+}
+
+function readRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > HTTP_BODY_LIMIT) {
+        reject(new Error('Request body too large.'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(raw.trim() ? JSON.parse(raw) : {});
+      } catch {
+        reject(new Error('Request body must be valid JSON.'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function readFileFrom(filePath, offset) {
+  if (!fs.existsSync(filePath)) {
+    return { chunk: null, offset };
+  }
+  const size = fs.statSync(filePath).size;
+  const from = size < offset ? 0 : offset;
+  if (size === from) {
+    return { chunk: null, offset: size };
+  }
+  const fd = fs.openSync(filePath, 'r');
+  const chunk = Buffer.alloc(size - from);
+  fs.readSync(fd, chunk, 0, chunk.length, from);
+  fs.closeSync(fd);
+  return { chunk, offset: size };
+}
+
+async function streamRunLog(req, res, runDir, stream, follow) {
+  const logFile = path.join(runDir, `${stream}.log`);
+  res.writeHead(200, { 'content-type': 'text/plain; charset=utf-8', 'cache-control': 'no-cache' });
+
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+  });
+
+  let position = 0;
+  let next = readFileFrom(logFile, position);
+  if (next.chunk) {
+    res.write(next.chunk);
+  }
+  position = next.offset;
+
+  while (follow && !closed && readRunSummary(runDir)?.status === 'running') {
+    await sleep(500);
+    next = readFileFrom(logFile, position);
+    if (next.chunk) {
+      res.write(next.chunk);
+    }
+    position = next.offset;
+  }
+  if (follow && !closed) {
+    next = readFileFrom(logFile, position);
+    if (next.chunk) {
+      res.write(next.chunk);
+    }
+  }
+  res.end();
+}
+
+function dashboardHtml() {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Autodelegate</title>
+<style>
+  body { font: 14px system-ui, sans-serif; margin: 2rem; color: #222; }
+  h1 { font-size: 1.3rem; }
+  .counts span { margin-right: 1.2rem; }
+  table { border-collapse: collapse; width: 100%; margin-top: 1rem; }
+  th, td { text-align: left; padding: 0.35rem 0.6rem; border-bottom: 1px solid #ddd; }
+  td.state { font-weight: 600; }
+  .muted { color: #777; }
+</style>
+</head>
+<body>
+<h1>Autodelegate queue</h1>
+<div class="counts" id="counts"></div>
+<table>
+  <thead><tr><th>Id</th><th>Title</th><th>State</th><th>Agent</th><th>Attempts</th><th>Priority</th><th>Created</th><th>Last reason</th></tr></thead>
+  <tbody id="tasks"></tbody>
+</table>
+<p class="muted">Read-only view; refreshes every 5 seconds.</p>
+<script>
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+async function refresh() {
+  const response = await fetch('/api/tasks');
+  const data = await response.json();
+  document.getElementById('counts').innerHTML = Object.entries(data.counts)
+    .map(([state, count]) => '<span>' + escapeHtml(state) + ': <b>' + count + '</b></span>')
+    .join('');
+  document.getElementById('tasks').innerHTML = data.tasks
+    .map((task) => '<tr><td>' + escapeHtml(task.id) + '</td><td>' + escapeHtml(task.title) + '</td><td class="state">' +
+      escapeHtml(task.state) + '</td><td>' + escapeHtml(task.agent || '') + '</td><td>' + task.attempts + '</td><td>' +
+      task.priority + '</td><td>' + escapeHtml(task.createdAt || '') + '</td><td>' + escapeHtml(task.lastReason || '') + '</td></tr>')
+    .join('');
+}
+refresh();
+setInterval(refresh, 5000);
+</script>
+</body>
+</html>
+`;
+}
+
+async function handleHttpRequest(req, res, server) {
+  const { dirs, scheduler, listen } = server;
+  const rejection = rejectForeignRequest(req, listen);
+  if (rejection) {
+    sendJson(res, 403, { error: rejection });
+    return;
+  }
+  const url = new URL(req.url, 'http://localhost');
+  let parts;
+  try {
+    parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    sendJson(res, 400, { error: 'Request path is not valid percent-encoding.' });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/') {
+    res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+    res.end(dashboardHtml());
+    return;
+  }
+
+  if (parts[0] !== 'api' || parts[1] !== 'tasks') {
+    sendJson(res, 404, { error: 'Not found.' });
+    return;
+  }
+
+  if (parts.length === 2 && req.method === 'GET') {
+    const state = url.searchParams.get('state');
+    if (state && !TASK_STATES.includes(state)) {
+      sendJson(res, 400, { error: `state must be one of: ${TASK_STATES.join(', ')}.` });
+      return;
+    }
+    const counts = Object.fromEntries(TASK_STATES.map((name) => [name, listFiles(dirs[name], '.json').length]));
+    sendJson(res, 200, { counts, tasks: listQueuedTasks(dirs, state ? [state] : TASK_STATES) });
+    return;
+  }
+
+  if (parts.length === 2 && req.method === 'POST') {
+    let payload;
+    let filePath;
+    try {
+      payload = buildTaskPayload(await readRequestBody(req), { allowCwd: false });
+      filePath = submitTask(dirs.home, payload);
+    } catch (error) {
+      sendJson(res, error.reason === 'duplicate_id' ? 409 : 400, { error: error.message });
+      return;
+    }
+    const warnings = submissionWarnings(dirs.home, payload);
+    sendJson(res, 201, {
+      task: describeQueuedTask(payload, 'inbox', filePath),
+      warnings: warnings.length ? warnings : undefined,
+    });
+    return;
+  }
+
+  const taskId = parts[2];
+  const action = parts[3] || '';
+  if (!taskId || parts.length > 4) {
+    sendJson(res, 404, { error: 'Not found.' });
+    return;
+  }
+
+  const found = lookupTask(dirs.home, taskId);
+  if (!found) {
+    sendJson(res, 404, { error: `Task ${taskId} not found.` });
+    return;
+  }
+
+  if (req.method === 'GET' && action === '') {
+    const task = readJson(found.filePath);
+    const attempt = selectRunAttempt(dirs.runs, taskId, null);
+    sendJson(res, 200, {
+      task: describeQueuedTask(task, found.state, found.filePath),
+      payload: task,
+      summary: attempt ? readRunSummary(attempt.runDir) : null,
+    });
+    return;
+  }
+
+  if (req.method === 'GET' && action === 'summary') {
+    const attempt = selectRunAttempt(dirs.runs, taskId, url.searchParams.get('attempt'));
+    const summary = attempt ? readRunSummary(attempt.runDir) : null;
+    if (!summary) {
+      sendJson(res, 404, { error: `No run summary for task ${taskId}.` });
+      return;
+    }
+    sendJson(res, 200, summary);
+    return;
+  }
+
+  if (req.method === 'GET' && action === 'logs') {
+    const stream = url.searchParams.get('stream') || 'stdout';
+    if (!['stdout', 'stderr'].includes(stream)) {
+      sendJson(res, 400, { error: 'stream must be stdout or stderr.' });
+      return;
+    }
+    const attempt = selectRunAttempt(dirs.runs, taskId, url.searchParams.get('attempt'));
+    if (!attempt) {
+      sendJson(res, 404, { error: `No runs for task ${taskId}.` });
+      return;
+    }
+    await streamRunLog(req, res, attempt.runDir, stream, url.searchParams.get('follow') === '1');
+    return;
+  }
+
+  if (req.method === 'POST' && action === 'cancel') {
+    const active = scheduler.active.get(taskId);
+    if (active) {
+      active.cancel();
+      sendJson(res, 202, { taskId, status: 'cancelling' });
+      return;
+    }
+    if (found.state !== 'inbox') {
+      sendJson(res, 409, { error: `Task ${taskId} is ${found.state} and cannot be cancelled.` });
+      return;
+    }
+    cancelQueuedTask(dirs.home, found.filePath, taskId);
+    sendJson(res, 200, { taskId, status: 'cancelled' });
+    return;
+  }
+
+  if (req.method === 'POST' && action === 'requeue') {
+    if (!REQUEUEABLE_STATES.includes(found.state)) {
+      sendJson(res, 409, { error: `Task ${taskId} is ${found.state}; only finished tasks can be requeued.` });
+      return;
+    }
+    let body;
+    try {
+      body = await readRequestBody(req);
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+      return;
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      sendJson(res, 400, { error: 'Request body must be a JSON object.' });
+      return;
+    }
+    requeueTask(dirs.home, { task: readJson(found.filePath), taskId, filePath: found.filePath }, found.state, {
+      resetAttempts: Boolean(body.resetAttempts),
+      agent: body.agent,
+      prompt: body.prompt,
+    });
+    sendJson(res, 200, { taskId, status: 'requeued' });
+    return;
+  }
+
+  sendJson(res, 405, { error: 'Method not allowed.' });
+}
+
+function startHttpServer(address, server) {
+  const { host, port } = parseListenAddress(address);
+  const httpServer = http.createServer((req, res) => {
+    handleHttpRequest(req, res, { ...server, listen: { host, port } }).catch((error) => {
+      log(`HTTP ${req.method} ${req.url} failed`, String(error));
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: String(error.message || error) });
+      } else {
+        res.end();
+      }
+    });
+  });
+  // A failed bind (port in use, bad address) only disables the API; the queue keeps running.
+  httpServer.on('error', (error) => {
+    log(`HTTP API on ${host}:${port} disabled`, String(error.message || error));
+    httpServer.close();
+  });
+  httpServer.listen(port, host, () => {
+    log(`HTTP API listening on http://${host}:${port}/`);
+  });
+  if (!LOOPBACK_HOSTS.includes(host)) {
+    log(`Warning: HTTP API bound to ${host} has no authentication.`);
+  }
+  return httpServer;
+}
+
+async function main() {
   const options = parseArgs(process.argv.slice(2));
   const repoRoot = getRepoRoot();
   const homeDir = resolveHome(repoRoot, options.home);
@@ -513,9 +2419,12 @@ async function main() {
     processing: path.join(homeDir, 'processing'),
     completed: path.join(homeDir, 'completed'),
     failed: path.join(homeDir, 'failed'),
+    cancelled: path.join(homeDir, 'cancelled'),
+    control: path.join(homeDir, 'control'),
     runs: path.join(homeDir, 'runs'),
     worktrees: path.join(homeDir, 'worktrees'),
     agents: path.join(homeDir, 'agents'),
+    prompts: path.join(homeDir, 'prompts'),
   };
 
   const globalAgentsDir = resolveGlobalAgentsDir();
@@ -524,15 +2433,68 @@ async function main() {
 
   const configPath = path.join(homeDir, 'orchestrator.config.json');
   const logPath = path.join(homeDir, 'daemon.log');
-  recoverProcessing(dirs.processing, dirs.inbox);
+  const lockPath = path.join(homeDir, 'daemon.lock');
 
-  let shouldStop = false;
-  process.on('SIGINT', () => {
-    shouldStop = true;
+  const heartbeatIntervalMs = positiveLimit(loadConfig(configPath).heartbeatIntervalMs, DEFAULT_CONFIG.heartbeatIntervalMs);
+  const { acquired, lock } = acquireLock(lockPath, heartbeatIntervalMs);
+  if (!acquired) {
+    log(`Another autodelegate daemon is running on this home (pid ${lock?.pid} on ${lock?.host}, last heartbeat ${lock?.heartbeatAt}).`);
+    process.exit(1);
+  }
+  process.on('exit', () => releaseLock(lockPath));
+
+  // Holding the lock means no other daemon is alive, so everything left in processing is stale.
+  recoverProcessing(dirs);
+  rebuildIndex(homeDir);
+
+  const scheduler = {
+    running: new Set(),
+    agentLoad: new Map(),
+    active: new Map(),
+    // Runs of the last day (from daemon.log, plus runs started since) for quota checks.
+    usage: readUsageLog(logPath),
+    quotaPaused: new Set(),
+    unroutable: new Set(),
+  };
+
+  // Agents run detached; whatever ends the daemon early must take their process groups with it.
+  process.on('exit', () => {
+    killActiveChildren(scheduler, 'SIGTERM');
+    killActiveChildren(scheduler, 'SIGKILL');
   });
-  process.on('SIGTERM', () => {
+
+  let shouldStop = false;
+  let forcedExit = false;
+  const requestStop = (signal) => {
+    if (shouldStop) {
+      if (forcedExit) {
+        return;
+      }
+      forcedExit = true;
+      log(`Received ${signal} again; stopping in-flight tasks and exiting.`);
+      killActiveChildren(scheduler, 'SIGTERM');
+      const config = loadConfig(configPath);
+      const killGraceMs = Number(config.killGraceMs) >= 0 ? Number(config.killGraceMs) : DEFAULT_CONFIG.killGraceMs;
+      setTimeout(() => process.exit(1), killGraceMs).unref();
+      return;
+    }
     shouldStop = true;
-  });
+    if (scheduler.running.size > 0) {
+      log(`Received ${signal}; waiting for ${scheduler.running.size} in-flight task(s) to finish.`);
+    }
+  };
+  process.on('SIGINT', () => requestStop('SIGINT'));
+  process.on('SIGTERM', () => requestStop('SIGTERM'));
+
+  const httpServer = options.http ? startHttpServer(options.http, { dirs, scheduler }) : null;
+
+  const heartbeat = setInterval(() => {
+    if (!refreshLock(lockPath, scheduler) && !shouldStop) {
+      log('Daemon lock was taken over by another process; stopping.');
+      shouldStop = true;
+    }
+  }, heartbeatIntervalMs);
+  heartbeat.unref();
 
   log('Autodelegate daemon started.');
   log(`Repo root: ${repoRoot}`);
@@ -541,29 +2503,64 @@ async function main() {
     log(`Global agents: ${globalAgentsDir}`);
   }
 
+  const gcState = { lastRunAt: 0 };
+  let config = loadConfig(configPath);
+  let effectivePoll = options.pollMs || Number(config.pollIntervalMs) || 5000;
+
   while (!shouldStop) {
-    const config = loadConfig(configPath);
-    const effectivePoll = options.pollMs || Number(config.pollIntervalMs) || 5000;
+    config = loadConfig(configPath);
+    effectivePoll = options.pollMs || Number(config.pollIntervalMs) || 5000;
+    const maxConcurrency = options.once ? 1 : positiveLimit(config.maxConcurrency, 1);
     const agentSources = process.env.AUTO_DELEGATE_DISABLE_GLOBAL_AGENTS === '1' ? [dirs.agents] : [globalAgentsDir, dirs.agents];
-    const agents = loadAgents(agentSources);
-
-    const processed = await processOneTask({
+    const agents = loadAgents(agentSources, log);
+    const context = {
       config,
       dirs,
       agents,
       repoRoot,
       logPath,
-    });
+      scheduler,
+    };
+
+    processCancelRequests(context);
+    maybeCollectGarbage(context, gcState);
+
+    if (!agents.length) {
+      if (listFiles(dirs.inbox, '.json').length > 0) {
+        log('Tasks pending, but no available agent tools detected.');
+      }
+    } else {
+      while (!shouldStop && scheduler.running.size < maxConcurrency) {
+        const claim = claimNextTask(context);
+        if (!claim) {
+          break;
+        }
+        const running = processOneTask(context, claim)
+          .catch((error) => log(`Unexpected error while processing ${claim.fileName}`, String(error)))
+          .finally(() => scheduler.running.delete(running));
+        scheduler.running.add(running);
+      }
+    }
 
     if (options.once) {
       break;
     }
 
-    if (!processed) {
-      await sleep(effectivePoll);
-    }
+    // Wake up on the next poll tick or as soon as a running task frees a slot.
+    await Promise.race([sleep(effectivePoll), ...scheduler.running]);
   }
 
+  // Keep honoring cancel requests while in-flight tasks drain.
+  while (scheduler.running.size > 0) {
+    processCancelRequests({ config, dirs, logPath, scheduler });
+    await Promise.race([sleep(effectivePoll), ...scheduler.running]);
+  }
+  clearInterval(heartbeat);
+  if (httpServer) {
+    httpServer.close();
+    httpServer.closeAllConnections?.();
+  }
+  releaseLock(lockPath);
   log('Autodelegate daemon stopped.');
 }
 
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { spawnSync } from 'node:child_process';
+import { collectGarbage } from '../lib/gc.mjs';
+
+function usage() {
+  console.log(`Usage:
+  autodelegate-gc [options]
+
+Removes autodelegate worktrees and branches that are older than --max-age-days or
+beyond the newest --keep, then runs "git worktree prune". Branches with unmerged
+commits and worktrees with uncommitted changes are kept unless --force is given.
+
+Options:
+  --max-age-days <n>      Remove branches idle for more than n days (default: config gc.maxAgeDays).
+  --keep <n>              Keep at most the n most recent branches (default: config gc.keep).
+  --force                 Also remove unmerged branches and dirty worktrees.
+  --dry-run               Report what would be removed without removing anything.
+  --json                  Print the report as JSON.
+  --home <path>           Home directory override.
+  --help                  Show help.
+
+Env:
+  AUTO_DELEGATE_HOME      Home directory path override
+  AUTO_DELEGATE_BRANCH_PREFIX
+                          Branch prefix to collect (default: autodelegate/)
+`);
+}
+
+function getRepoRoot() {
+  const result = spawnSync('git', ['rev-parse', '--show-toplevel'], {
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  if (result.status !== 0) {
+    return process.cwd();
+  }
+  return result.stdout.trim();
+}
+
+function resolveHome(repoRoot, cliHome) {
+  const raw = cliHome || process.env.AUTO_DELEGATE_HOME || '.autodelegate';
+  if (path.isAbsolute(raw)) {
+    return raw;
+  }
+  return path.resolve(repoRoot, raw);
+}
+
+function branchPrefix() {
+  const raw = process.env.AUTO_DELEGATE_BRANCH_PREFIX || 'autodelegate/';
+  return raw.endsWith('/') ? raw : `${raw}/`;
+}
+
+function readConfig(homeDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(homeDir, 'orchestrator.config.json'), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+let homeArg = '';
+let jsonOutput = false;
+const options = {
+  maxAgeDays: undefined,
+  keep: undefined,
+  force: false,
+  dryRun: false,
+};
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i += 1) {
+  const key = args[i];
+  if (key === '--help' || key === '-h') {
+    usage();
+    process.exit(0);
+  }
+  if (key === '--force' || key === '--dry-run' || key === '--json') {
+    if (key === '--json') {
+      jsonOutput = true;
+    } else {
+      options[key === '--force' ? 'force' : 'dryRun'] = true;
+    }
+    continue;
+  }
+  if (['--home', '--max-age-days', '--keep'].includes(key)) {
+    const value = args[i + 1];
+    if (!value || value.startsWith('--')) {
+      console.error(`Missing value for ${key}`);
+      process.exit(1);
+    }
+    if (key === '--home') {
+      homeArg = value;
+    } else {
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) {
+        console.error(`${key} must be a non-negative number.`);
+        process.exit(1);
+      }
+      options[key === '--keep' ? 'keep' : 'maxAgeDays'] = number;
+    }
+    i += 1;
+    continue;
+  }
+  console.error(`Unknown argument: ${key}`);
+  process.exit(1);
+}
+
+const repoRoot = getRepoRoot();
+const homeDir = resolveHome(repoRoot, homeArg);
+const config = readConfig(homeDir);
+const gcConfig = config.gc && typeof config.gc === 'object' ? config.gc : {};
+const merge = config.merge && typeof config.merge === 'object' ? config.merge : {};
+
+const maxAgeDays = options.maxAgeDays ?? Number(gcConfig.maxAgeDays ?? 14);
+const keep = options.keep ?? Number(gcConfig.keep ?? 0);
+if (!maxAgeDays && !keep) {
+  console.error('Nothing to collect: set --max-age-days or --keep (or gc.maxAgeDays/gc.keep in config).');
+  process.exit(1);
+}
+
+const report = collectGarbage({
+  repoRoot,
+  homeDir,
+  branchPrefix: branchPrefix(),
+  baseBranch: merge.baseBranch || '',
+  remote: merge.remote || '',
+  maxAgeDays,
+  keep,
+  force: options.force,
+  dryRun: options.dryRun,
+});
+
+if (jsonOutput) {
+  console.log(JSON.stringify(report, null, 2));
+  process.exit(report.errors.length ? 1 : 0);
+}
+
+const verb = options.dryRun ? 'Would remove' : 'Removed';
+for (const worktreePath of report.removedWorktrees) {
+  console.log(`${verb} worktree ${worktreePath}`);
+}
+for (const entry of report.deletedBranches) {
+  console.log(`${options.dryRun ? 'Would delete' : 'Deleted'} branch ${entry.branch} (${entry.ageDays}d old${entry.merged ? '' : ', unmerged'})`);
+}
+for (const dirPath of report.removedDirs) {
+  console.log(`${verb} stale directory ${dirPath}`);
+}
+for (const entry of report.skipped) {
+  console.log(`Kept ${entry.branch}: ${entry.reason.replace(/_/g, ' ')}`);
+}
+for (const entry of report.errors) {
+  console.error(`Failed on ${entry.branch}: ${entry.error}`);
+}
+console.log(
+  `${options.dryRun ? 'Dry run: ' : ''}${report.deletedBranches.length} branch(es), ${report.removedWorktrees.length} worktree(s), ` +
+    `${report.removedDirs.length} stale dir(s); ${report.skipped.length} kept.`,
+);
+process.exit(report.errors.length ? 1 : 0);
@@ -11,8 +11,9 @@ function usage() {
 
 Creates reusable autonomous delegation scaffold:
 - orchestrator.config.json
-- inbox/processing/completed/failed directories
+- inbox/processing/completed/failed/cancelled directories
 - local agents override directory (optional)
+- prompts directory for reusable prompt templates
 `);
 }
 
@@ -74,11 +75,11 @@ for (let i = 0; i < args.length; i += 1) {
 const repoRoot = getRepoRoot();
 const homeDir = resolveHome(repoRoot, homeArg);
 
-const dirs = ['inbox', 'processing', 'completed', 'failed', 'runs', 'worktrees', 'agents'];
+const dirs = ['inbox', 'processing', 'completed', 'failed', 'cancelled', 'control', 'runs', 'worktrees', 'agents', 'prompts'];
 for (const dirName of dirs) {
   const full = path.join(homeDir, dirName);
   fs.mkdirSync(full, { recursive: true });
-  if (['inbox', 'processing', 'completed', 'failed', 'agents'].includes(dirName)) {
+  if (['inbox', 'processing', 'completed', 'failed', 'cancelled', 'agents', 'prompts'].includes(dirName)) {
     writeFileIfMissing(path.join(full, '.gitkeep'), '', force);
   }
 }
@@ -88,7 +89,26 @@ writeFileIfMissing(
   `${JSON.stringify(
     {
       pollIntervalMs: 5000,
+      heartbeatIntervalMs: 10000,
       defaultMaxAttempts: 2,
+      maxConcurrency: 1,
+      agentConcurrency: {},
+      defaultTimeoutMs: 0,
+      killGraceMs: 10000,
+      dependencyOutput: 'none',
+      dependencyOutputMaxChars: 4000,
+      dependencyOutputFullMaxChars: 100000,
+      priorityAgingMs: 600000,
+      logMaxBytes: 0,
+      logOverflow: 'truncate',
+      logRotateKeep: 3,
+      retryPolicy: {
+        baseDelayMs: 30000,
+        multiplier: 2,
+        maxDelayMs: 600000,
+        jitter: 0.1,
+        retryableReasons: ['exit_*', 'signal_*', 'timeout', 'runtime_exception', 'verify_failed'],
+      },
       routingOrder: [
         'claude-general-purpose',
         'claude-explore',
@@ -97,8 +117,35 @@ writeFileIfMissing(
         'claude-code-guide',
         'claude-generalist',
       ],
+      routingRules: [
+        { name: 'explore', prompt: '^\\s*(find|where)\\b', agent: 'claude-explore' },
+        { name: 'plan', prompt: '^\\s*(design|plan)\\b', agent: 'claude-plan' },
+      ],
+      fallbackAgents: [],
       cleanupWorktreeOnSuccess: false,
       cleanupWorktreeOnFailure: false,
+      captureChanges: true,
+      autoCommit: false,
+      commitMessageTemplate: 'autodelegate: {{title}} ({{taskId}})',
+      verify: [],
+      verifyTimeoutMs: 600000,
+      baseRef: '',
+      branchTemplate: '{{prefix}}{{agent}}-{{taskId}}-{{stamp}}',
+      merge: {
+        baseBranch: '',
+        strategy: 'ff',
+        remote: '',
+        prHook: '',
+      },
+      gc: {
+        intervalMs: 0,
+        maxAgeDays: 14,
+        keep: 0,
+      },
+      quotas: {
+        global: {},
+        agents: {},
+      },
     },
     null,
     2,
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { spawnSync } from 'node:child_process';
+import { lookupTask, taskRunsKey } from '../lib/task-index.mjs';
+
+function usage() {
+  console.log(`Usage:
+  autodelegate-logs <taskId> [options]
+
+Options:
+  --attempt <n>           Show a specific attempt (default: latest).
+  --stderr                Show stderr.log instead of stdout.log.
+  --follow, -f            Keep printing new output until the attempt finishes.
+  --home <path>           Home directory override.
+  --help                  Show help.
+
+Env:
+  AUTO_DELEGATE_HOME      Home directory path override
+`);
+}
+
+function slugify(value) {
+  return String(value || 'task')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'task';
+}
+
+function getRepoRoot() {
+  const result = spawnSync('git', ['rev-parse', '--show-toplevel'], {
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  if (result.status !== 0) {
+    return process.cwd();
+  }
+  return result.stdout.trim();
+}
+
+function resolveHome(repoRoot, cliHome) {
+  const raw = cliHome || process.env.AUTO_DELEGATE_HOME || '.autodelegate';
+  if (path.isAbsolute(raw)) {
+    return raw;
+  }
+  return path.resolve(repoRoot, raw);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function readSummary(runDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(runDir, 'summary.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function listRecordedAttempts(homeDir, taskId) {
+  const found = lookupTask(homeDir, taskId);
+  if (!found) {
+    return [];
+  }
+  try {
+    const task = JSON.parse(fs.readFileSync(found.filePath, 'utf8'));
+    return (Array.isArray(task.attempts) ? task.attempts : [])
+      .filter((entry) => entry.runDir && fs.existsSync(entry.runDir))
+      .map((entry) => ({ number: Number(entry.attempt), runDir: entry.runDir }));
+  } catch {
+    return [];
+  }
+}
+
+function listAttemptDirs(homeDir, taskId) {
+  // The task's own attempt history points straight at its run directories.
+  const recorded = listRecordedAttempts(homeDir, taskId);
+  if (recorded.length) {
+    return recorded;
+  }
+
+  const runsDir = path.join(homeDir, 'runs');
+  const taskRunsDir = path.join(runsDir, taskRunsKey(taskId));
+  if (fs.existsSync(taskRunsDir)) {
+    return fs
+      .readdirSync(taskRunsDir)
+      .map((name) => /^attempt-(\d+)$/.exec(name))
+      .filter(Boolean)
+      .map((match) => ({ number: Number(match[1]), runDir: path.join(taskRunsDir, match[0]) }))
+      .sort((a, b) => a.number - b.number);
+  }
+
+  // Legacy layout: runs/<timestamp>-<task-id>/, one directory per attempt.
+  if (!fs.existsSync(runsDir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(runsDir)
+    .filter((name) => name.endsWith(`-${slugify(taskId)}`))
+    .sort()
+    .map((name, index) => ({ number: index + 1, runDir: path.join(runsDir, name) }));
+}
+
+function printRange(filePath, start) {
+  if (!fs.existsSync(filePath)) {
+    return start;
+  }
+  const size = fs.statSync(filePath).size;
+  // A rotated log starts over from an empty file.
+  const from = size < start ? 0 : start;
+  if (size === from) {
+    return size;
+  }
+  const fd = fs.openSync(filePath, 'r');
+  const buffer = Buffer.alloc(size - from);
+  fs.readSync(fd, buffer, 0, buffer.length, from);
+  fs.closeSync(fd);
+  process.stdout.write(buffer);
+  return size;
+}
+
+let homeArg = '';
+let taskId = '';
+let attemptArg = 0;
+let stream = 'stdout';
+let follow = false;
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i += 1) {
+  const key = args[i];
+  if (key === '--help' || key === '-h') {
+    usage();
+    process.exit(0);
+  }
+  if (key === '--stderr') {
+    stream = 'stderr';
+    continue;
+  }
+  if (key === '--follow' || key === '-f') {
+    follow = true;
+    continue;
+  }
+  if (key === '--home' || key === '--attempt') {
+    const value = args[i + 1];
+    if (!value || value.startsWith('--')) {
+      console.error(`Missing value for ${key}`);
+      process.exit(1);
+    }
+    if (key === '--home') {
+      homeArg = value;
+    } else {
+      attemptArg = Number(value);
+    }
+    i += 1;
+    continue;
+  }
+  if (!key.startsWith('-') && !taskId) {
+    taskId = key;
+    continue;
+  }
+  console.error(`Unknown argument: ${key}`);
+  process.exit(1);
+}
+
+if (!taskId) {
+  console.error('A task id is required.');
+  usage();
+  process.exit(1);
+}
+
+if (attemptArg && (!Number.isInteger(attemptArg) || attemptArg < 1)) {
+  console.error('--attempt must be a positive integer.');
+  process.exit(1);
+}
+
+const repoRoot = getRepoRoot();
+const homeDir = resolveHome(repoRoot, homeArg);
+const attempts = listAttemptDirs(homeDir, taskId);
+if (!attempts.length) {
+  console.error(`No runs found for task ${taskId}.`);
+  process.exit(1);
+}
+
+const selected = attemptArg ? attempts.find((entry) => entry.number === attemptArg) : attempts[attempts.length - 1];
+if (!selected) {
+  console.error(`Task ${taskId} has no attempt ${attemptArg} (attempts: ${attempts.map((entry) => entry.number).join(', ')}).`);
+  process.exit(1);
+}
+
+const logPath = path.join(selected.runDir, `${stream}.log`);
+const summary = readSummary(selected.runDir);
+console.error(`# ${taskId} attempt ${selected.number} (${summary?.status || 'unknown'}): ${logPath}`);
+
+let offset = printRange(logPath, 0);
+if (follow) {
+  let stop = false;
+  process.on('SIGINT', () => {
+    stop = true;
+  });
+  while (!stop && readSummary(selected.runDir)?.status === 'running') {
+    await sleep(500);
+    offset = printRange(logPath, offset);
+  }
+  printRange(logPath, offset);
+  const finalSummary = readSummary(selected.runDir);
+  if (finalSummary && finalSummary.status !== 'running') {
+    console.error(`# finished: ${finalSummary.status}${finalSummary.reason ? ` (${finalSummary.reason})` : ''}`);
+  }
+}
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { spawnSync } from 'node:child_process';
+import { MERGE_EVENTS, MERGE_STRATEGIES, integrateBranch, renderTemplate, resolveMergeSettings } from '../lib/merge.mjs';
+import { lookupTask } from '../lib/task-index.mjs';
+
+function usage() {
+  console.log(`Usage:
+  autodelegate-merge <taskId> [options]
+
+Rebases a completed task's worktree branch onto the base branch and merges it, or
+pushes it and runs the configured prHook with --pr. Stops without changes on conflict.
+
+Options:
+  --base <branch>         Base branch (default: config merge.baseBranch, else the repo's current branch).
+  --strategy <ff|squash>  Fast-forward the branch or squash it into one commit (default: config, else ff).
+  --remote <name>         Fetch the base from and push the result to this remote instead of updating locally.
+  --pr                    Push the rebased branch and run merge.prHook instead of merging.
+  --json                  Print the result as JSON.
+  --home <path>           Home directory override.
+  --help                  Show help.
+
+Env:
+  AUTO_DELEGATE_HOME      Home directory path override
+`);
+}
+
+function getRepoRoot() {
+  const result = spawnSync('git', ['rev-parse', '--show-toplevel'], {
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  if (result.status !== 0) {
+    return process.cwd();
+  }
+  return result.stdout.trim();
+}
+
+function resolveHome(repoRoot, cliHome) {
+  const raw = cliHome || process.env.AUTO_DELEGATE_HOME || '.autodelegate';
+  if (path.isAbsolute(raw)) {
+    return raw;
+  }
+  return path.resolve(repoRoot, raw);
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function readConfig(homeDir) {
+  try {
+    return readJson(path.join(homeDir, 'orchestrator.config.json'));
+  } catch {
+    return {};
+  }
+}
+
+function latestBranchRun(task) {
+  const attempts = Array.isArray(task.attempts) ? task.attempts : [];
+  const attempt = [...attempts].reverse().find((entry) => entry.status === 'completed' && entry.branch);
+  if (!attempt) {
+    return null;
+  }
+  let worktreePath = '';
+  try {
+    worktreePath = readJson(path.join(attempt.runDir, 'summary.json')).worktree || '';
+  } catch {
+    // the branch is checked out into a temporary worktree instead
+  }
+  return { attempt, worktreePath };
+}
+
+let homeArg = '';
+let taskId = '';
+let jsonOutput = false;
+const overrides = {
+  action: 'merge',
+  baseBranch: '',
+  strategy: '',
+  remote: undefined,
+};
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i += 1) {
+  const key = args[i];
+  if (key === '--help' || key === '-h') {
+    usage();
+    process.exit(0);
+  }
+  if (key === '--pr') {
+    overrides.action = 'pr';
+    continue;
+  }
+  if (key === '--json') {
+    jsonOutput = true;
+    continue;
+  }
+  if (['--home', '--base', '--strategy', '--remote'].includes(key)) {
+    const value = args[i + 1];
+    if (!value || value.startsWith('--')) {
+      console.error(`Missing value for ${key}`);
+      process.exit(1);
+    }
+    if (key === '--home') {
+      homeArg = value;
+    } else if (key === '--base') {
+      overrides.baseBranch = value;
+    } else {
+      overrides[key.slice(2)] = value;
+    }
+    i += 1;
+    continue;
+  }
+  if (!key.startsWith('-') && !taskId) {
+    taskId = key;
+    continue;
+  }
+  console.error(`Unknown argument: ${key}`);
+  process.exit(1);
+}
+
+if (!taskId) {
+  console.error('A task id is required.');
+  usage();
+  process.exit(1);
+}
+if (overrides.strategy && !MERGE_STRATEGIES.includes(overrides.strategy)) {
+  console.error(`--strategy must be one of: ${MERGE_STRATEGIES.join(', ')}.`);
+  process.exit(1);
+}
+
+const repoRoot = getRepoRoot();
+const homeDir = resolveHome(repoRoot, homeArg);
+
+const found = lookupTask(homeDir, taskId);
+if (!found) {
+  console.error(`Task ${taskId} not found.`);
+  process.exit(1);
+}
+if (found.state !== 'completed') {
+  console.error(`Task ${taskId} is ${found.state}; only completed tasks can be merged.`);
+  process.exit(1);
+}
+
+const task = readJson(found.filePath);
+const run = latestBranchRun(task);
+if (!run) {
+  console.error(`Task ${taskId} has no completed worktree run to merge.`);
+  process.exit(1);
+}
+
+const config = readConfig(homeDir);
+const message = renderTemplate(task.commitMessage || config.commitMessageTemplate || 'autodelegate: {{title}} ({{taskId}})', {
+  taskId,
+  title: task.title || taskId,
+  agent: run.attempt.agent,
+  attempt: run.attempt.attempt,
+  branch: run.attempt.branch,
+});
+const merge = await integrateBranch({
+  repoRoot,
+  worktreesDir: path.join(homeDir, 'worktrees'),
+  branch: run.attempt.branch,
+  worktreePath: run.worktreePath,
+  taskId,
+  title: task.title,
+  message,
+  settings: resolveMergeSettings(config, task, overrides),
+});
+
+task.merge = merge;
+fs.writeFileSync(found.filePath, `${JSON.stringify(task, null, 2)}\n`, 'utf8');
+fs.appendFileSync(
+  path.join(homeDir, 'daemon.log'),
+  `${JSON.stringify({
+    at: new Date().toISOString(),
+    status: MERGE_EVENTS[merge.status] || 'merge_failed',
+    taskId,
+    branch: merge.branch,
+    base: merge.base,
+    strategy: merge.strategy,
+    mergedSha: merge.mergedSha,
+    url: merge.url,
+    conflicts: merge.conflicts,
+    error: merge.error,
+  })}\n`,
+  'utf8',
+);
+
+const ok = ['merged', 'pr_opened', 'pushed'].includes(merge.status);
+if (jsonOutput) {
+  console.log(JSON.stringify(merge, null, 2));
+} else if (merge.status === 'merged') {
+  console.log(`Merged ${merge.branch} into ${merge.base}${merge.remote ? ` on ${merge.remote}` : ''} (${merge.strategy}): ${merge.mergedSha}`);
+} else if (merge.status === 'pr_opened') {
+  console.log(`Opened pull request for ${merge.branch}${merge.url ? `: ${merge.url}` : ''}`);
+} else if (merge.status === 'pushed') {
+  console.log(`Pushed ${merge.branch} to ${merge.remote}; no merge.prHook configured.`);
+} else if (merge.status === 'conflict') {
+  console.error(`Rebasing ${merge.branch} onto ${merge.base} conflicts in: ${merge.conflicts.join(', ') || '(unknown files)'}`);
+  console.error('The branch was left unchanged.');
+} else if (merge.status === 'no_changes') {
+  console.log(`${merge.branch} has no commits beyond ${merge.base}; nothing to merge.`);
+} else {
+  console.error(`Merge of ${merge.branch} stopped (${merge.status}): ${merge.error}`);
+}
+process.exit(ok || merge.status === 'no_changes' ? 0 : 1);
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { spawnSync } from 'node:child_process';
+import { lookupTask } from '../lib/task-index.mjs';
+import { REQUEUEABLE_STATES, requeueTask } from '../lib/task-queue.mjs';
+
+function usage() {
+  console.log(`Usage:
+  autodelegate-requeue <taskId> [options]
+  autodelegate-requeue --reason <reason> [options]
+
+Moves finished tasks (failed, completed or cancelled) back to the inbox. The task
+keeps its id and attempt history; each requeue is recorded in its "requeues" list.
+
+Options:
+  --reason <reason>       Requeue every failed task whose last reason matches
+                          (exact, or prefix when it ends in "*", e.g. "exit_*").
+  --reset-attempts        Reset the retry counter so the task gets its full maxAttempts again.
+  --agent <name>          Route the requeued task to this agent.
+  --prompt <text>         Replace the task prompt.
+  --home <path>           Home directory override.
+  --help                  Show help.
+
+Env:
+  AUTO_DELEGATE_HOME      Home directory path override
+`);
+}
+
+function getRepoRoot() {
+  const result = spawnSync('git', ['rev-parse', '--show-toplevel'], {
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  if (result.status !== 0) {
+    return process.cwd();
+  }
+  return result.stdout.trim();
+}
+
+function resolveHome(repoRoot, cliHome) {
+  const raw = cliHome || process.env.AUTO_DELEGATE_HOME || '.autodelegate';
+  if (path.isAbsolute(raw)) {
+    return raw;
+  }
+  return path.resolve(repoRoot, raw);
+}
+
+function readTaskFiles(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    return [];
+  }
+  const entries = [];
+  for (const fileName of fs.readdirSync(dirPath).filter((name) => name.endsWith('.json')).sort()) {
+    const filePath = path.join(dirPath, fileName);
+    try {
+      const task = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      entries.push({ task, taskId: task.id || path.basename(fileName, '.json'), filePath });
+    } catch {
+      // skip unreadable task files
+    }
+  }
+  return entries;
+}
+
+function matchesReason(reason, pattern) {
+  if (!reason) {
+    return false;
+  }
+  return pattern.endsWith('*') ? reason.startsWith(pattern.slice(0, -1)) : reason === pattern;
+}
+
+let homeArg = '';
+let taskId = '';
+let reasonFilter = '';
+const overrides = {
+  resetAttempts: false,
+  agent: '',
+  prompt: '',
+};
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i += 1) {
+  const key = args[i];
+  if (key === '--help' || key === '-h') {
+    usage();
+    process.exit(0);
+  }
+  if (key === '--reset-attempts') {
+    overrides.resetAttempts = true;
+    continue;
+  }
+  if (['--home', '--reason', '--agent', '--prompt'].includes(key)) {
+    const value = args[i + 1];
+    if (!value || value.startsWith('--')) {
+      console.error(`Missing value for ${key}`);
+      process.exit(1);
+    }
+    if (key === '--home') {
+      homeArg = value;
+    } else if (key === '--reason') {
+      reasonFilter = value;
+    } else {
+      overrides[key.slice(2)] = value;
+    }
+    i += 1;
+    continue;
+  }
+  if (!key.startsWith('-') && !taskId) {
+    taskId = key;
+    continue;
+  }
+  console.error(`Unknown argument: ${key}`);
+  process.exit(1);
+}
+
+if (!taskId && !reasonFilter) {
+  console.error('Pass a task id or --reason.');
+  usage();
+  process.exit(1);
+}
+if (taskId && reasonFilter) {
+  console.error('Pass either a task id or --reason, not both.');
+  process.exit(1);
+}
+
+const repoRoot = getRepoRoot();
+const homeDir = resolveHome(repoRoot, homeArg);
+
+if (reasonFilter) {
+  const matches = readTaskFiles(path.join(homeDir, 'failed')).filter((entry) =>
+    matchesReason(entry.task.lastReason, reasonFilter),
+  );
+  for (const entry of matches) {
+    requeueTask(homeDir, entry, 'failed', overrides);
+    console.log(`Requeued ${entry.taskId}`);
+  }
+  console.log(`Requeued ${matches.length} failed task(s) matching ${reasonFilter}.`);
+  process.exit(0);
+}
+
+const found = lookupTask(homeDir, taskId);
+if (!found) {
+  console.error(`Task ${taskId} not found.`);
+  process.exit(1);
+}
+if (!REQUEUEABLE_STATES.includes(found.state)) {
+  console.error(`Task ${taskId} is still ${found.state === 'inbox' ? 'queued' : 'running'}.`);
+  process.exit(1);
+}
+
+const task = JSON.parse(fs.readFileSync(found.filePath, 'utf8'));
+const inboxPath = requeueTask(homeDir, { task, taskId, filePath: found.filePath }, found.state, overrides);
+console.log(`Requeued ${found.state} task ${taskId}: ${inboxPath}`);
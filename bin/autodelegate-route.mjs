@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { spawnSync } from 'node:child_process';
+import { findExceededQuota, readUsageLog } from '../lib/quotas.mjs';
+import { agentConcurrencyLimit, loadAgents, routeTask } from '../lib/routing.mjs';
+import { lookupTask } from '../lib/task-index.mjs';
+
+function usage() {
+  console.log(`Usage:
+  autodelegate-route --dry-run <task.json | taskId> [options]
+
+Explains which agent the daemon would choose for a task and why, using the same agents,
+routing rules and current load as the daemon. Nothing is queued or moved.
+
+Options:
+  --dry-run               Only explain the routing decision (the default; nothing else is supported).
+  --json                  Print the decision as JSON.
+  --home <path>           Home directory override.
+  --help                  Show help.
+
+Env:
+  AUTO_DELEGATE_HOME      Home directory path override
+  AUTO_DELEGATE_GLOBAL_AGENTS_DIR Global shared agents directory override
+  AUTO_DELEGATE_DISABLE_GLOBAL_AGENTS Set to "1" to disable shared agents
+`);
+}
+
+function getRepoRoot() {
+  const result = spawnSync('git', ['rev-parse', '--show-toplevel'], {
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  if (result.status !== 0) {
+    return process.cwd();
+  }
+  return result.stdout.trim();
+}
+
+function resolveHome(repoRoot, cliHome) {
+  const raw = cliHome || process.env.AUTO_DELEGATE_HOME || '.autodelegate';
+  if (path.isAbsolute(raw)) {
+    return raw;
+  }
+  return path.resolve(repoRoot, raw);
+}
+
+function resolveCodexHome() {
+  return process.env.CODEX_HOME || path.join(process.env.HOME || '', '.codex');
+}
+
+function resolveGlobalAgentsDir() {
+  const override = process.env.AUTO_DELEGATE_GLOBAL_AGENTS_DIR;
+  if (override && override.length > 0) {
+    return path.isAbsolute(override) ? override : path.resolve(process.cwd(), override);
+  }
+
+  return path.join(resolveCodexHome(), 'tools', 'autonomous-delegation', 'templates', 'agents');
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function readConfig(homeDir) {
+  try {
+    return readJson(path.join(homeDir, 'orchestrator.config.json'));
+  } catch {
+    return {};
+  }
+}
+
+/** Agents busy with a running attempt, counted the way the daemon's scheduler would. */
+function readAgentLoad(processingDir) {
+  const agentLoad = new Map();
+  if (!fs.existsSync(processingDir)) {
+    return agentLoad;
+  }
+  for (const fileName of fs.readdirSync(processingDir).filter((name) => name.endsWith('.json'))) {
+    try {
+      const attempts = readJson(path.join(processingDir, fileName)).attempts || [];
+      const last = attempts[attempts.length - 1];
+      if (last?.status === 'running' && last.agent) {
+        agentLoad.set(last.agent, (agentLoad.get(last.agent) || 0) + 1);
+      }
+    } catch {
+      // unreadable tasks do not count towards load
+    }
+  }
+  return agentLoad;
+}
+
+let homeArg = '';
+let target = '';
+let jsonOutput = false;
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i += 1) {
+  const key = args[i];
+  if (key === '--help' || key === '-h') {
+    usage();
+    process.exit(0);
+  }
+  if (key === '--dry-run') {
+    continue;
+  }
+  if (key === '--json') {
+    jsonOutput = true;
+    continue;
+  }
+  if (key === '--home') {
+    const value = args[i + 1];
+    if (!value || value.startsWith('--')) {
+      console.error('Missing value for --home');
+      process.exit(1);
+    }
+    homeArg = value;
+    i += 1;
+    continue;
+  }
+  if (!key.startsWith('-') && !target) {
+    target = key;
+    continue;
+  }
+  console.error(`Unknown argument: ${key}`);
+  process.exit(1);
+}
+
+if (!target) {
+  console.error('A task file or task id is required.');
+  usage();
+  process.exit(1);
+}
+
+const repoRoot = getRepoRoot();
+const homeDir = resolveHome(repoRoot, homeArg);
+
+let taskPath = target;
+if (!fs.existsSync(taskPath)) {
+  const found = lookupTask(homeDir, target);
+  if (!found) {
+    console.error(`${target} is neither a task file nor a known task id.`);
+    process.exit(1);
+  }
+  taskPath = found.filePath;
+}
+
+let task;
+try {
+  task = readJson(taskPath);
+} catch (error) {
+  console.error(`Could not read task ${taskPath}: ${error.message}`);
+  process.exit(1);
+}
+
+const config = readConfig(homeDir);
+const agentsDir = path.join(homeDir, 'agents');
+const agents = loadAgents(
+  process.env.AUTO_DELEGATE_DISABLE_GLOBAL_AGENTS === '1' ? [agentsDir] : [resolveGlobalAgentsDir(), agentsDir],
+  (message) => console.error(message),
+);
+const scheduler = { agentLoad: readAgentLoad(path.join(homeDir, 'processing')) };
+const trace = [];
+const { agent, routing } = routeTask(task, agents, config, scheduler, trace);
+
+const notes = [];
+let load = null;
+if (agent) {
+  const limit = agentConcurrencyLimit(agent, config);
+  load = { active: scheduler.agentLoad.get(agent.name) || 0, limit: Number.isFinite(limit) ? limit : null };
+  if (load.active >= limit) {
+    notes.push(`${agent.name} is at its concurrency cap (${load.active}/${load.limit}); the task would wait for a free slot.`);
+  }
+  const exceeded = findExceededQuota(config, readUsageLog(path.join(homeDir, 'daemon.log')), agent.name);
+  if (exceeded) {
+    notes.push(`The ${exceeded.scope} quota ${exceeded.limit} is used up (${exceeded.used}/${exceeded.max}); the task would be paused.`);
+  }
+} else {
+  notes.push('No agent qualifies; the task would wait in the inbox.');
+}
+
+if (jsonOutput) {
+  console.log(
+    JSON.stringify({ taskId: task.id || null, agent: agent?.name || null, routing, trace, load, notes }, null, 2),
+  );
+  process.exit(agent ? 0 : 1);
+}
+
+console.log(`Task: ${task.id || taskPath}${task.title ? ` (${task.title})` : ''}`);
+console.log(`Agent: ${agent?.name || 'none'}`);
+console.log(`Rule: ${routing.rule}: ${routing.detail}`);
+if (routing.candidates) {
+  console.log('Candidates:');
+  for (const entry of routing.candidates) {
+    const matched = entry.matched.length ? ` prefers=${entry.matched.join(',')}` : '';
+    console.log(`- ${entry.agent}: load=${entry.load}/${entry.limit ?? 'unlimited'}${matched}`);
+  }
+}
+for (const entry of routing.rejected || []) {
+  console.log(`Rejected ${entry.agent}: missing ${entry.missing.join(', ')}`);
+}
+if (trace.length) {
+  console.log('Considered:');
+  for (const line of trace) {
+    console.log(`- ${line}`);
+  }
+}
+for (const note of notes) {
+  console.log(`Note: ${note}`);
+}
+process.exit(agent ? 0 : 1);
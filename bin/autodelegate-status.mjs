@@ -1,13 +1,26 @@
 #!/usr/bin/env node
 
 import fs from 'node:fs';
+import os from 'node:os';
 import path from 'node:path';
 import process from 'node:process';
 import { spawnSync } from 'node:child_process';
+import { QUOTA_LIMITS, USAGE_EVENT, quotaReport, readUsageLog, usageEntry } from '../lib/quotas.mjs';
+import { TASK_STATES, lookupTask } from '../lib/task-index.mjs';
+import { taskDependencies } from '../lib/task-queue.mjs';
 
 function usage() {
   console.log(`Usage:
-  autodelegate-status [--home <path>]
+  autodelegate-status [options]
+
+Options:
+  --state <state>         Only list tasks in this state (inbox, processing, completed, failed, cancelled).
+  --agent <name>          Only list tasks routed to this agent.
+  --since <when>          Only list tasks active since a duration ago (30m, 2h, 1d) or an ISO date.
+  --task <id>             Only show this task.
+  --json                  Print machine-readable JSON.
+  --home <path>           Home directory override.
+  --help                  Show help.
 
 Env:
   AUTO_DELEGATE_HOME      Home directory path override
@@ -55,6 +68,204 @@ function countJson(dirPath) {
   return fs.readdirSync(dirPath).filter((name) => name.endsWith('.json')).length;
 }
 
+function readTasks(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    return [];
+  }
+  const tasks = [];
+  for (const fileName of fs.readdirSync(dirPath).filter((name) => name.endsWith('.json')).sort()) {
+    try {
+      const file = path.join(dirPath, fileName);
+      const task = JSON.parse(fs.readFileSync(file, 'utf8'));
+      tasks.push({ ...task, id: task.id || path.basename(fileName, '.json'), file });
+    } catch {
+      // ignore invalid files in status summary
+    }
+  }
+  return tasks;
+}
+
+function findBlockedTasks(homeDir, stateDirs) {
+  const blocked = [];
+  for (const task of readTasks(stateDirs.inbox)) {
+    const deps = taskDependencies(task);
+    const states = new Map(deps.map((depId) => [depId, lookupTask(homeDir, depId)?.state]));
+    const waitingOn = deps
+      .filter((depId) => states.get(depId) !== 'completed')
+      .map((depId) => `${depId} (${states.get(depId) || 'missing'})`);
+    if (waitingOn.length) {
+      blocked.push({ id: task.id, waitingOn });
+    }
+  }
+  return blocked;
+}
+
+function readLastEvents(logPath) {
+  const byTask = new Map();
+  if (!fs.existsSync(logPath)) {
+    return byTask;
+  }
+  for (const line of fs.readFileSync(logPath, 'utf8').split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      const event = JSON.parse(line);
+      if (event.taskId && event.status !== USAGE_EVENT) {
+        byTask.set(event.taskId, event);
+      }
+    } catch {
+      // ignore partial lines
+    }
+  }
+  return byTask;
+}
+
+function parseSince(value) {
+  const match = /^(\d+)([smhd])$/.exec(value);
+  if (match) {
+    const unitMs = { s: 1000, m: 60000, h: 3600000, d: 86400000 }[match[2]];
+    return Date.now() - Number(match[1]) * unitMs;
+  }
+  return Date.parse(value);
+}
+
+function formatAge(ms) {
+  if (!Number.isFinite(ms)) {
+    return 'n/a';
+  }
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  if (seconds < 3600) {
+    return `${Math.round(seconds / 60)}m`;
+  }
+  if (seconds < 86400) {
+    return `${Math.round(seconds / 3600)}h`;
+  }
+  return `${Math.round(seconds / 86400)}d`;
+}
+
+function describeTask(task, state, lastEvent) {
+  const attempts = Array.isArray(task.attempts) ? task.attempts : [];
+  const lastAttempt = attempts[attempts.length - 1];
+  const createdAtMs = Date.parse(task.createdAt || '');
+  const activity = [task.createdAt, task.lastTriedAt, lastAttempt?.finishedAt, lastAttempt?.startedAt, lastEvent?.at]
+    .map((value) => Date.parse(value || ''))
+    .filter(Number.isFinite);
+
+  return {
+    id: task.id,
+    title: task.title || '',
+    state,
+    agent: lastAttempt?.agent || lastEvent?.agent || task.agent || null,
+    attempts: attempts.length,
+    createdAt: task.createdAt || null,
+    updatedAt: activity.length ? new Date(Math.max(...activity)).toISOString() : null,
+    ageMs: Number.isFinite(createdAtMs) ? Date.now() - createdAtMs : null,
+    lastReason: task.lastReason || lastAttempt?.reason || lastEvent?.reason || null,
+    notBefore: task.notBefore || null,
+    dependsOn: Array.isArray(task.dependsOn) ? task.dependsOn : [],
+    runDir: lastAttempt?.runDir || task.lastRunDir || lastEvent?.runDir || null,
+    costUsd: Number.isFinite(task.costUsd) ? task.costUsd : null,
+    spend: attempts
+      .filter((entry) => entry.agent && (Number.isFinite(entry.costUsd) || entry.usage))
+      .map((entry) => ({ agent: entry.agent, costUsd: entry.costUsd ?? null, usage: entry.usage || null })),
+    file: task.file,
+  };
+}
+
+function formatCost(value) {
+  return `$${value.toFixed(value < 1 ? 4 : 2)}`;
+}
+
+/** Cost and token totals per agent across the selected tasks' attempts. */
+function summarizeSpend(tasks) {
+  const byAgent = {};
+  let totalUsd = 0;
+  for (const entry of tasks.flatMap((task) => task.spend)) {
+    const agent = (byAgent[entry.agent] ||= { runs: 0, costUsd: 0, inputTokens: 0, outputTokens: 0 });
+    agent.runs += 1;
+    agent.costUsd += entry.costUsd || 0;
+    agent.inputTokens += Number(entry.usage?.inputTokens) || 0;
+    agent.outputTokens += Number(entry.usage?.outputTokens) || 0;
+    totalUsd += entry.costUsd || 0;
+  }
+  return { totalUsd: Math.round(totalUsd * 1e6) / 1e6, byAgent };
+}
+
+function readConfig(homeDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(homeDir, 'orchestrator.config.json'), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/** Finished runs of the last day from daemon.log plus the runs still in processing. */
+function readQuotaUsage(homeDir, processingDir) {
+  const entries = readUsageLog(path.join(homeDir, 'daemon.log'));
+  for (const task of readTasks(processingDir)) {
+    const attempts = Array.isArray(task.attempts) ? task.attempts : [];
+    const last = attempts[attempts.length - 1];
+    const startedAtMs = Date.parse(last?.startedAt || '');
+    if (last?.status === 'running' && Number.isFinite(startedAtMs)) {
+      entries.push(usageEntry(last.agent, startedAtMs));
+    }
+  }
+  return entries;
+}
+
+function formatQuota(key, value) {
+  if (key.startsWith('costUsd')) {
+    return formatCost(value);
+  }
+  return key.startsWith('runtimeMs') ? formatAge(value) : String(value);
+}
+
+function describeQuota(name, entry) {
+  const parts = Object.keys(QUOTA_LIMITS)
+    .filter((key) => entry.limits[key] !== undefined || entry.used[key] > 0)
+    .map((key) => {
+      const limit = entry.limits[key] === undefined ? '' : `/${formatQuota(key, entry.limits[key])}`;
+      return `${key}=${formatQuota(key, entry.used[key])}${limit}`;
+    });
+  const paused = entry.exceeded.length ? ` PAUSED (${entry.exceeded.join(', ')})` : '';
+  return `- ${name}: ${parts.join(' ') || 'no usage'}${paused}`;
+}
+
+function readDaemonState(lockPath) {
+  let lock;
+  try {
+    lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch {
+    return { running: false, stale: false };
+  }
+
+  const heartbeatAgeMs = Date.now() - Date.parse(lock.heartbeatAt || '');
+  const staleAfterMs = 3 * (Number(lock.heartbeatIntervalMs) || 10000);
+  let alive = heartbeatAgeMs <= staleAfterMs;
+  if (alive && lock.host === os.hostname()) {
+    try {
+      process.kill(Number(lock.pid), 0);
+    } catch (error) {
+      alive = error.code === 'EPERM';
+    }
+  }
+
+  return {
+    running: alive,
+    stale: !alive,
+    pid: lock.pid,
+    host: lock.host,
+    startedAt: lock.startedAt || null,
+    lastHeartbeatAt: lock.heartbeatAt || null,
+    heartbeatAgeMs: Number.isFinite(heartbeatAgeMs) ? heartbeatAgeMs : null,
+    runningTasks: Array.isArray(lock.runningTasks) ? lock.runningTasks : [],
+  };
+}
+
 function commandExists(command) {
   const result = spawnSync('which', [command], { stdio: 'ignore' });
   return result.status === 0;
@@ -82,6 +293,8 @@ function loadAgentsFromDirs(agentDirs) {
           name: agent.name,
           command: agent.command || 'n/a',
           installed: commandExists(String(agent.command || '')),
+          capabilities: Array.isArray(agent.capabilities) ? agent.capabilities.map(String) : [],
+          labels: Array.isArray(agent.labels) ? agent.labels.map(String) : [],
           source: fullPath,
         });
       } catch {
@@ -94,6 +307,13 @@ function loadAgentsFromDirs(agentDirs) {
 }
 
 let homeArg = '';
+const filters = {
+  state: '',
+  agent: '',
+  since: NaN,
+  task: '',
+};
+let jsonOutput = false;
 const args = process.argv.slice(2);
 for (let i = 0; i < args.length; i += 1) {
   const key = args[i];
@@ -101,13 +321,27 @@ for (let i = 0; i < args.length; i += 1) {
     usage();
     process.exit(0);
   }
-  if (key === '--home') {
+  if (key === '--json') {
+    jsonOutput = true;
+    continue;
+  }
+  if (['--home', '--state', '--agent', '--since', '--task'].includes(key)) {
     const value = args[i + 1];
     if (!value || value.startsWith('--')) {
-      console.error('Missing value for --home');
+      console.error(`Missing value for ${key}`);
       process.exit(1);
     }
-    homeArg = value;
+    if (key === '--home') {
+      homeArg = value;
+    } else if (key === '--since') {
+      filters.since = parseSince(value);
+      if (!Number.isFinite(filters.since)) {
+        console.error('--since must be a duration such as 30m, 2h or 1d, or an ISO date.');
+        process.exit(1);
+      }
+    } else {
+      filters[key.slice(2)] = value;
+    }
     i += 1;
     continue;
   }
@@ -115,36 +349,171 @@ for (let i = 0; i < args.length; i += 1) {
   process.exit(1);
 }
 
+if (filters.state && !TASK_STATES.includes(filters.state)) {
+  console.error(`--state must be one of: ${TASK_STATES.join(', ')}.`);
+  process.exit(1);
+}
+
 const repoRoot = getRepoRoot();
 const homeDir = resolveHome(repoRoot, homeArg);
 
-const inboxDir = path.join(homeDir, 'inbox');
-const processingDir = path.join(homeDir, 'processing');
-const completedDir = path.join(homeDir, 'completed');
-const failedDir = path.join(homeDir, 'failed');
+const stateDirs = Object.fromEntries(TASK_STATES.map((state) => [state, path.join(homeDir, state)]));
 const agentsDir = path.join(homeDir, 'agents');
 const globalAgentsDir = resolveGlobalAgentsDir();
 
+function readSelectedTasks() {
+  if (!filters.task) {
+    return TASK_STATES.flatMap((state) =>
+      readTasks(stateDirs[state]).map((task) => describeTask(task, state, lastEvents.get(task.id))),
+    );
+  }
+  const found = lookupTask(homeDir, filters.task);
+  if (!found) {
+    return [];
+  }
+  try {
+    const task = JSON.parse(fs.readFileSync(found.filePath, 'utf8'));
+    return [describeTask({ ...task, id: filters.task, file: found.filePath }, found.state, lastEvents.get(filters.task))];
+  } catch {
+    return [];
+  }
+}
+
+const daemon = readDaemonState(path.join(homeDir, 'daemon.lock'));
+const lastEvents = readLastEvents(path.join(homeDir, 'daemon.log'));
+const tasks = readSelectedTasks()
+  .filter((task) => !filters.state || task.state === filters.state)
+  .filter((task) => !filters.agent || task.agent === filters.agent)
+  .filter((task) => !filters.task || task.id === filters.task)
+  .filter((task) => !Number.isFinite(filters.since) || Date.parse(task.updatedAt || '') >= filters.since)
+  .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+
+const counts = Object.fromEntries(TASK_STATES.map((state) => [state, countJson(stateDirs[state])]));
+const blocked = findBlockedTasks(homeDir, stateDirs);
+const spend = summarizeSpend(tasks);
+const config = readConfig(homeDir);
+const quotaUsage = readQuotaUsage(homeDir, stateDirs.processing);
+const quotaAgents = [
+  ...new Set([...quotaUsage.map((entry) => entry.agent), ...Object.keys(config.quotas?.agents || {})].filter(Boolean)),
+].sort();
+const quotas = quotaReport(config, quotaUsage, quotaAgents);
+
+const sources =
+  process.env.AUTO_DELEGATE_DISABLE_GLOBAL_AGENTS === '1' ? [agentsDir] : [globalAgentsDir, agentsDir];
+const agents = loadAgentsFromDirs(sources);
+
+if (jsonOutput) {
+  console.log(
+    JSON.stringify(
+      {
+        repo: repoRoot,
+        home: homeDir,
+        daemon,
+        counts: { ...counts, blocked: blocked.length },
+        blocked,
+        tasks,
+        spend,
+        quotas,
+        agents,
+      },
+      null,
+      2,
+    ),
+  );
+  process.exit(0);
+}
+
+if (filters.task && !tasks.length) {
+  console.error(`Task ${filters.task} not found.`);
+  process.exit(1);
+}
+
 console.log('Autodelegate status');
 console.log(`Repo: ${repoRoot}`);
 console.log(`Home: ${homeDir}`);
-console.log(`Inbox: ${countJson(inboxDir)}`);
-console.log(`Processing: ${countJson(processingDir)}`);
-console.log(`Completed: ${countJson(completedDir)}`);
-console.log(`Failed: ${countJson(failedDir)}`);
+if (daemon.running) {
+  console.log(
+    `Daemon: running (pid ${daemon.pid} on ${daemon.host}, last heartbeat ${formatAge(daemon.heartbeatAgeMs)} ago)`,
+  );
+} else if (daemon.stale) {
+  console.log(
+    `Daemon: not running (stale lock from pid ${daemon.pid} on ${daemon.host}, last heartbeat ${formatAge(daemon.heartbeatAgeMs)} ago)`,
+  );
+} else {
+  console.log('Daemon: not running');
+}
+console.log(`Inbox: ${counts.inbox}`);
+console.log(`Processing: ${counts.processing}`);
+console.log(`Completed: ${counts.completed}`);
+console.log(`Failed: ${counts.failed}`);
+console.log(`Cancelled: ${counts.cancelled}`);
+
+console.log(`Blocked: ${blocked.length}`);
+for (const task of blocked) {
+  console.log(`- ${task.id} waiting on: ${task.waitingOn.join(', ')}`);
+}
+
+if (tasks.length) {
+  console.log('Tasks:');
+  for (const task of tasks) {
+    const details = [
+      `state=${task.state}`,
+      `agent=${task.agent || 'n/a'}`,
+      `attempts=${task.attempts}`,
+      `age=${formatAge(task.ageMs)}`,
+      `reason=${task.lastReason || 'n/a'}`,
+    ];
+    if (task.notBefore && Date.parse(task.notBefore) > Date.now()) {
+      details.push(`notBefore=${task.notBefore}`);
+    }
+    if (task.costUsd !== null) {
+      details.push(`cost=${formatCost(task.costUsd)}`);
+    }
+    console.log(`- ${task.id}: ${details.join(' ')} title=${JSON.stringify(task.title)}`);
+    if (filters.task) {
+      console.log(`  file=${task.file}`);
+      if (task.runDir) {
+        console.log(`  runDir=${task.runDir}`);
+      }
+      if (task.dependsOn.length) {
+        console.log(`  dependsOn=${task.dependsOn.join(', ')}`);
+      }
+    }
+  }
+}
+
+if (Object.keys(spend.byAgent).length) {
+  console.log(`Spend: ${formatCost(spend.totalUsd)}`);
+  for (const [name, agent] of Object.entries(spend.byAgent)) {
+    console.log(
+      `- ${name}: runs=${agent.runs} cost=${formatCost(agent.costUsd)} inputTokens=${agent.inputTokens} outputTokens=${agent.outputTokens}`,
+    );
+  }
+}
+
+const hasLimits = [quotas.global, ...Object.values(quotas.agents)].some((entry) => Object.keys(entry.limits).length);
+if (hasLimits) {
+  console.log('Quotas (rolling hour/day):');
+  console.log(describeQuota('global', quotas.global));
+  for (const [name, entry] of Object.entries(quotas.agents)) {
+    console.log(describeQuota(name, entry));
+  }
+}
+
 if (process.env.AUTO_DELEGATE_DISABLE_GLOBAL_AGENTS !== '1') {
   console.log(`Global agents dir: ${globalAgentsDir}`);
 }
 console.log(`Local override agents dir: ${agentsDir}`);
 
-const sources =
-  process.env.AUTO_DELEGATE_DISABLE_GLOBAL_AGENTS === '1' ? [agentsDir] : [globalAgentsDir, agentsDir];
-const agents = loadAgentsFromDirs(sources);
 if (!agents.length) {
   process.exit(0);
 }
 
 console.log('Agents:');
 for (const agent of agents) {
-  console.log(`- ${agent.name}: command=${agent.command} installed=${agent.installed} source=${agent.source}`);
+  const tags = [
+    agent.capabilities.length ? ` capabilities=${agent.capabilities.join(',')}` : '',
+    agent.labels.length ? ` labels=${agent.labels.join(',')}` : '',
+  ].join('');
+  console.log(`- ${agent.name}: command=${agent.command} installed=${agent.installed}${tags} source=${agent.source}`);
 }
@@ -1,21 +1,40 @@
 #!/usr/bin/env node
 
-import fs from 'node:fs';
 import path from 'node:path';
 import process from 'node:process';
 import { spawnSync } from 'node:child_process';
+import { buildTaskPayload, submissionWarnings, submitTask } from '../lib/task-queue.mjs';
 
 function usage() {
   console.log(`Usage:
   autodelegate-submit --title <text> --prompt <text> [options]
+  autodelegate-submit --title <text> --template <name> [--var key=value ...] [options]
 
 Options:
   --title <text>          Task title.
   --prompt <text>         Prompt to send to delegated AI CLI.
+  --template <name>       Render <home>/prompts/<name>.md as the prompt ({{prompt}} inserts --prompt).
+  --var <key=value>       Template variable (repeatable).
   --agent <name>          Preferred agent name.
   --tool <command>        Preferred CLI tool command.
+  --requires <tags>       Comma-separated capabilities or labels the agent must have (repeatable).
+  --prefers <tags>        Comma-separated capabilities or labels to prefer when several agents qualify (repeatable).
+  --tags <tags>           Comma-separated task tags matched by routingRules (repeatable).
+  --paths <paths>         Comma-separated paths the task will touch, matched by routingRules (repeatable).
+  --fallback-agents <names>
+                          Comma-separated agents to use on successive retries.
   --cwd <path>            Working directory for task execution.
   --max-attempts <n>      Retry attempts (default: 2).
+  --priority <n>          Scheduling priority; higher runs first (default: 0).
+  --timeout-ms <n>        Kill the agent after this many milliseconds.
+  --depends-on <ids>      Comma-separated task ids that must complete first (repeatable).
+  --dependency-output <mode>
+                          Inject upstream stdout into the prompt: none, summary or full.
+  --on-success <action>   After a successful run: none, merge or pr (see autodelegate-merge).
+  --base-ref <ref>        Branch, tag or SHA the task's worktree branch starts from (default: HEAD).
+  --branch <name>         Run on this branch: continue it if it exists, otherwise create it.
+  --continue-from <id>    Continue on the branch of an earlier task (runs after it completes).
+  --branch-template <tpl> Name for new branches, e.g. "feature/{{taskId}}" (see README).
   --id <id>               Custom task id.
   --home <path>           Home directory override.
   --help                  Show help.
@@ -25,14 +44,6 @@ Env:
 `);
 }
 
-function slugify(value) {
-  return String(value || 'task')
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '')
-    .slice(0, 60) || 'task';
-}
-
 function getRepoRoot() {
   const result = spawnSync('git', ['rev-parse', '--show-toplevel'], {
     encoding: 'utf8',
@@ -55,6 +66,12 @@ function resolveHome(repoRoot, cliHome) {
 const args = process.argv.slice(2);
 const task = {
   maxAttempts: 2,
+  dependsOn: [],
+  requires: [],
+  prefers: [],
+  tags: [],
+  paths: [],
+  vars: {},
 };
 let homeArg = '';
 
@@ -92,10 +109,28 @@ for (let i = 0; i < args.length; i += 1) {
       task.prompt = value;
       i += 1;
       break;
+    case '--template':
+      task.template = value;
+      i += 1;
+      break;
+    case '--var': {
+      const separator = value.indexOf('=');
+      if (separator < 1) {
+        console.error('--var must be key=value.');
+        process.exit(1);
+      }
+      task.vars[value.slice(0, separator)] = value.slice(separator + 1);
+      i += 1;
+      break;
+    }
     case '--agent':
       task.agent = value;
       i += 1;
       break;
+    case '--fallback-agents':
+      task.fallbackAgents = value.split(',').map((name) => name.trim()).filter(Boolean);
+      i += 1;
+      break;
     case '--tool':
       task.tool = value;
       i += 1;
@@ -108,6 +143,49 @@ for (let i = 0; i < args.length; i += 1) {
       task.maxAttempts = Number(value);
       i += 1;
       break;
+    case '--priority':
+      task.priority = Number(value);
+      i += 1;
+      break;
+    case '--timeout-ms':
+      task.timeoutMs = Number(value);
+      i += 1;
+      break;
+    case '--requires':
+    case '--prefers':
+    case '--tags':
+    case '--paths':
+      task[key.slice(2)].push(...value.split(',').map((tag) => tag.trim()).filter(Boolean));
+      i += 1;
+      break;
+    case '--depends-on':
+      task.dependsOn.push(...value.split(',').map((dep) => dep.trim()).filter(Boolean));
+      i += 1;
+      break;
+    case '--dependency-output':
+      task.dependencyOutput = value;
+      i += 1;
+      break;
+    case '--on-success':
+      task.onSuccess = value;
+      i += 1;
+      break;
+    case '--base-ref':
+      task.baseRef = value;
+      i += 1;
+      break;
+    case '--branch':
+      task.branch = value;
+      i += 1;
+      break;
+    case '--continue-from':
+      task.continueFrom = value;
+      i += 1;
+      break;
+    case '--branch-template':
+      task.branchTemplate = value;
+      i += 1;
+      break;
     case '--id':
       task.id = value;
       i += 1;
@@ -119,44 +197,36 @@ for (let i = 0; i < args.length; i += 1) {
   }
 }
 
-if (!task.title || !task.prompt) {
-  console.error('Both --title and --prompt are required.');
-  usage();
-  process.exit(1);
-}
+// Command-line spelling of a task field for error messages, e.g. maxAttempts -> --max-attempts.
+const flagName = (field) => (field === 'vars' ? '--var' : `--${field.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`);
 
-if (!Number.isFinite(task.maxAttempts) || task.maxAttempts < 1) {
-  console.error('--max-attempts must be a positive number.');
+let payload;
+try {
+  payload = buildTaskPayload(task, { label: flagName });
+} catch (error) {
+  console.error(error.message);
+  if (error.message.includes('are required')) {
+    usage();
+  }
   process.exit(1);
 }
 
 const repoRoot = getRepoRoot();
 const homeDir = resolveHome(repoRoot, homeArg);
-const inboxDir = path.join(homeDir, 'inbox');
-fs.mkdirSync(inboxDir, { recursive: true });
-
-const stamp = new Date().toISOString().replace(/[-:.]/g, '').replace('T', '-').replace('Z', 'Z');
-const id = task.id || `${slugify(task.title)}-${stamp}`;
-const filePath = path.join(inboxDir, `${stamp}-${slugify(id)}.json`);
-
-const payload = {
-  id,
-  title: task.title,
-  prompt: task.prompt,
-  agent: task.agent,
-  tool: task.tool,
-  cwd: task.cwd,
-  maxAttempts: task.maxAttempts,
-  attempt: 0,
-  createdAt: new Date().toISOString(),
-};
 
-for (const key of Object.keys(payload)) {
-  if (payload[key] === undefined || payload[key] === null || payload[key] === '') {
-    delete payload[key];
+let filePath;
+try {
+  filePath = submitTask(homeDir, payload);
+} catch (error) {
+  if (error.reason !== 'duplicate_id') {
+    throw error;
   }
+  console.error(error.message);
+  console.error('Use autodelegate-requeue to run it again, or pass a different --id.');
+  process.exit(1);
+}
+for (const warning of submissionWarnings(homeDir, payload)) {
+  console.warn(`Warning: ${warning}`);
 }
-
-fs.writeFileSync(filePath, `${JSON.stringify(payload, null, 2)}\n`, 'utf8');
 console.log(`Queued task: ${filePath}`);
-console.log(`Task id: ${id}`);
+console.log(`Task id: ${payload.id}`);
@@ -0,0 +1,215 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { lookupTask } from './task-index.mjs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function git(cwd, args) {
+  return spawnSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function listJson(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    return [];
+  }
+  return fs
+    .readdirSync(dirPath)
+    .filter((name) => name.endsWith('.json'))
+    .map((name) => path.join(dirPath, name));
+}
+
+// git prints real paths, so compare through symlinked homes (or macOS /tmp -> /private/tmp) by real path.
+function realPath(filePath) {
+  try {
+    return fs.realpathSync(filePath);
+  } catch {
+    return path.resolve(filePath);
+  }
+}
+
+function listWorktrees(repoRoot) {
+  const byBranch = new Map();
+  const paths = new Set();
+  let current = '';
+  for (const line of git(repoRoot, ['worktree', 'list', '--porcelain']).stdout.split('\n')) {
+    if (line.startsWith('worktree ')) {
+      current = line.slice('worktree '.length);
+      paths.add(realPath(current));
+    } else if (line.startsWith('branch refs/heads/')) {
+      byBranch.set(line.slice('branch refs/heads/'.length), current);
+    }
+  }
+  return { byBranch, paths };
+}
+
+/** Last branch of the task `taskId`, which a `continueFrom` task goes on working on. */
+function lastTaskBranch(homeDir, taskId) {
+  const found = lookupTask(homeDir, String(taskId));
+  const attempts = found ? readJson(found.filePath).attempts || [] : [];
+  return [...attempts].reverse().find((entry) => entry.branch)?.branch || '';
+}
+
+/**
+ * Branches and worktree directories that must survive a collection: those of running tasks, branches
+ * queued tasks will check out (`branch`, `continueFrom`, a verify retry), plus squash-merged branches
+ * (which git cannot recognise as merged) recorded on completed tasks.
+ */
+function readTaskBranches(homeDir) {
+  const running = new Set();
+  const runningDirs = new Set();
+  for (const filePath of listJson(path.join(homeDir, 'processing'))) {
+    try {
+      for (const attempt of readJson(filePath).attempts || []) {
+        const summary = attempt.runDir ? readJson(path.join(attempt.runDir, 'summary.json')) : {};
+        if (summary.branch) {
+          running.add(summary.branch);
+          runningDirs.add(realPath(path.join(homeDir, 'worktrees', summary.branch.replace(/\//g, '__'))));
+        }
+        if (summary.worktree) {
+          runningDirs.add(realPath(summary.worktree));
+        }
+      }
+    } catch {
+      // a task without readable run summaries has no branch to protect yet
+    }
+  }
+
+  const queued = new Set();
+  for (const filePath of [...listJson(path.join(homeDir, 'inbox')), ...listJson(path.join(homeDir, 'processing'))]) {
+    try {
+      const task = readJson(filePath);
+      const branches = [task.branch, task.verifyRetry?.branch, task.continueFrom ? lastTaskBranch(homeDir, task.continueFrom) : ''];
+      branches.filter(Boolean).forEach((branch) => queued.add(String(branch)));
+    } catch {
+      // unreadable payloads fail when claimed and need no branch
+    }
+  }
+
+  const merged = new Set();
+  for (const filePath of listJson(path.join(homeDir, 'completed'))) {
+    try {
+      const { merge } = readJson(filePath);
+      if (merge?.status === 'merged' && merge.branch) {
+        merged.add(merge.branch);
+      }
+    } catch {
+      // unreadable tasks fall back to git's own merge check
+    }
+  }
+  return { running, runningDirs, queued, merged };
+}
+
+function mergeTargets(repoRoot, baseBranch, remote) {
+  const base = baseBranch || git(repoRoot, ['rev-parse', '--abbrev-ref', 'HEAD']).stdout.trim();
+  const refs = [`refs/heads/${base}`];
+  if (remote) {
+    refs.push(`refs/remotes/${remote}/${base}`);
+  }
+  return refs.filter((ref) => git(repoRoot, ['rev-parse', '--verify', '-q', ref]).status === 0);
+}
+
+function branchActivityMs(repoRoot, branch, worktreePath) {
+  let newest = Number(git(repoRoot, ['log', '-1', '--format=%ct', branch]).stdout.trim()) * 1000 || 0;
+  if (worktreePath && fs.existsSync(worktreePath)) {
+    newest = Math.max(newest, fs.statSync(worktreePath).mtimeMs);
+  }
+  return newest;
+}
+
+/**
+ * Removes autodelegate worktrees and branches that are older than `maxAgeDays` or beyond the
+ * newest `keep`. Branches with unmerged commits or worktrees with uncommitted changes are skipped
+ * unless `force` is set; branches and worktree directories of running tasks, and branches queued
+ * tasks still need, are always kept.
+ */
+export function collectGarbage(options) {
+  const { repoRoot, homeDir, branchPrefix, maxAgeDays = 0, keep = 0, force = false, dryRun = false } = options;
+  const report = { dryRun, removedWorktrees: [], deletedBranches: [], removedDirs: [], skipped: [], errors: [] };
+  const now = Date.now();
+  const { byBranch, paths } = listWorktrees(repoRoot);
+  const { running, runningDirs, queued, merged } = readTaskBranches(homeDir);
+  const targets = mergeTargets(repoRoot, options.baseBranch, options.remote);
+
+  const branches = git(repoRoot, ['for-each-ref', '--format=%(refname:short)', `refs/heads/${branchPrefix}`])
+    .stdout.split('\n')
+    .filter(Boolean)
+    .map((branch) => {
+      const worktreePath = byBranch.get(branch) || '';
+      return { branch, worktreePath, activityMs: branchActivityMs(repoRoot, branch, worktreePath) };
+    })
+    .sort((a, b) => b.activityMs - a.activityMs);
+
+  branches.forEach((entry, rank) => {
+    const { branch, worktreePath, activityMs } = entry;
+    const ageDays = (now - activityMs) / DAY_MS;
+    const expired = maxAgeDays > 0 && ageDays > maxAgeDays;
+    const excess = keep > 0 && rank >= keep;
+    if (!expired && !excess) {
+      return;
+    }
+    if (running.has(branch)) {
+      report.skipped.push({ branch, reason: 'running' });
+      return;
+    }
+    if (queued.has(branch)) {
+      report.skipped.push({ branch, reason: 'queued' });
+      return;
+    }
+    const isMerged =
+      merged.has(branch) || targets.some((ref) => git(repoRoot, ['merge-base', '--is-ancestor', branch, ref]).status === 0);
+    if (!isMerged && !force) {
+      report.skipped.push({ branch, reason: 'unmerged' });
+      return;
+    }
+    if (worktreePath && !force && git(worktreePath, ['status', '--porcelain']).stdout.trim()) {
+      report.skipped.push({ branch, reason: 'uncommitted_changes', worktree: worktreePath });
+      return;
+    }
+
+    if (worktreePath) {
+      const removed = dryRun ? { status: 0 } : git(repoRoot, ['worktree', 'remove', '--force', worktreePath]);
+      if (removed.status !== 0) {
+        report.errors.push({ branch, error: (removed.stderr || '').trim() });
+        return;
+      }
+      report.removedWorktrees.push(worktreePath);
+    }
+    const deleted = dryRun ? { status: 0 } : git(repoRoot, ['branch', '-D', branch]);
+    if (deleted.status !== 0) {
+      report.errors.push({ branch, error: (deleted.stderr || '').trim() });
+      return;
+    }
+    report.deletedBranches.push({ branch, ageDays: Math.round(ageDays * 10) / 10, merged: isMerged });
+  });
+
+  if (!dryRun) {
+    git(repoRoot, ['worktree', 'prune']);
+  }
+
+  // Directories left in <home>/worktrees that git no longer tracks (e.g. after a manual branch delete).
+  const worktreesDir = path.join(homeDir, 'worktrees');
+  if (fs.existsSync(worktreesDir)) {
+    for (const name of fs.readdirSync(worktreesDir)) {
+      const dirPath = path.resolve(worktreesDir, name);
+      const realDir = realPath(dirPath);
+      if (paths.has(realDir) || runningDirs.has(realDir) || !fs.statSync(dirPath).isDirectory()) {
+        continue;
+      }
+      if (!dryRun) {
+        fs.rmSync(dirPath, { recursive: true, force: true });
+      }
+      report.removedDirs.push(dirPath);
+    }
+  }
+
+  return report;
+}
@@ -0,0 +1,264 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { spawn, spawnSync } from 'node:child_process';
+
+export const MERGE_STRATEGIES = ['ff', 'squash'];
+export const SUCCESS_ACTIONS = ['none', 'merge', 'pr'];
+export const DEFAULT_MERGE_TIMEOUT_MS = 300000;
+const KILL_GRACE_MS = 5000;
+const OUTPUT_LIMIT = 64 * 1024;
+
+/** daemon.log `status` for each merge outcome; anything else is logged as `merge_failed`. */
+export const MERGE_EVENTS = {
+  merged: 'merged',
+  pr_opened: 'pr_opened',
+  pushed: 'pushed',
+  conflict: 'merge_conflict',
+};
+
+/** Replaces `{{name}}` placeholders with `vars[name]`; unknown names render as empty strings. */
+export function renderTemplate(template, vars) {
+  return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    vars[key] === undefined || vars[key] === null ? '' : String(vars[key]),
+  );
+}
+
+function git(cwd, args) {
+  return spawnSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+}
+
+function gitOrThrow(cwd, args) {
+  const result = git(cwd, args);
+  if (result.status !== 0) {
+    throw new Error(`git ${args[0]} failed: ${(result.stderr || result.stdout || '').trim()}`);
+  }
+  return result.stdout.trim();
+}
+
+function killGroup(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    try {
+      child.kill(signal);
+    } catch {
+      // already gone
+    }
+  }
+}
+
+/**
+ * Runs a step that may wait on the network (fetch, push, prHook) without blocking the caller's
+ * event loop. It gets its own process group, which is killed once it outlives `timeoutMs`.
+ */
+function runStep(command, args, { cwd, env, shell = false, timeoutMs, label }) {
+  return new Promise((resolve, reject) => {
+    const timers = [];
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    let settled = false;
+
+    const finish = (status, error) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      timers.forEach(clearTimeout);
+      if (error) {
+        reject(new Error(`${label} failed to start: ${error.message || error}`));
+      } else if (timedOut) {
+        reject(new Error(`${label} timed out after ${timeoutMs}ms`));
+      } else {
+        resolve({ status, stdout, stderr });
+      }
+    };
+
+    const child = spawn(command, args, {
+      cwd,
+      env,
+      shell,
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => {
+      stdout = (stdout + chunk).slice(-OUTPUT_LIMIT);
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-OUTPUT_LIMIT);
+    });
+    child.on('error', (error) => finish(null, error));
+    child.on('close', (status) => finish(status));
+    if (timeoutMs > 0) {
+      timers.push(
+        setTimeout(() => {
+          timedOut = true;
+          killGroup(child, 'SIGTERM');
+          timers.push(setTimeout(() => killGroup(child, 'SIGKILL'), KILL_GRACE_MS));
+        }, timeoutMs),
+      );
+    }
+  });
+}
+
+async function remoteGit(cwd, args, timeoutMs) {
+  const result = await runStep('git', args, { cwd, timeoutMs, label: `git ${args[0]}` });
+  if (result.status !== 0) {
+    throw new Error(`git ${args[0]} failed: ${(result.stderr || result.stdout || '').trim()}`);
+  }
+  return result.stdout.trim();
+}
+
+/**
+ * Combines the config `merge` block, the task's `onSuccess` policy (a string action or an object)
+ * and command-line overrides, in increasing order of precedence.
+ */
+export function resolveMergeSettings(config, task, overrides = {}) {
+  const defaults = config.merge && typeof config.merge === 'object' ? config.merge : {};
+  const policy = typeof task.onSuccess === 'string' ? { action: task.onSuccess } : task.onSuccess || {};
+  return {
+    action: overrides.action || policy.action || 'none',
+    baseBranch: overrides.baseBranch || policy.baseBranch || defaults.baseBranch || '',
+    strategy: overrides.strategy || policy.strategy || defaults.strategy || 'ff',
+    remote: overrides.remote ?? policy.remote ?? defaults.remote ?? '',
+    prHook: defaults.prHook || '',
+    timeoutMs: Number(defaults.timeoutMs) > 0 ? Number(defaults.timeoutMs) : DEFAULT_MERGE_TIMEOUT_MS,
+  };
+}
+
+function findCheckout(repoRoot, branch) {
+  const listing = gitOrThrow(repoRoot, ['worktree', 'list', '--porcelain']);
+  let current = '';
+  for (const line of listing.split('\n')) {
+    if (line.startsWith('worktree ')) {
+      current = line.slice('worktree '.length);
+    } else if (line === `branch refs/heads/${branch}`) {
+      return current;
+    }
+  }
+  return '';
+}
+
+function advanceLocalBranch(repoRoot, baseBranch, baseSha, targetSha) {
+  const checkout = findCheckout(repoRoot, baseBranch);
+  if (!checkout) {
+    gitOrThrow(repoRoot, ['update-ref', `refs/heads/${baseBranch}`, targetSha, baseSha]);
+    return;
+  }
+  // The base branch is checked out (usually in the main repo): only fast-forward a clean checkout.
+  if (gitOrThrow(checkout, ['status', '--porcelain', '--untracked-files=no'])) {
+    throw new Error(`${baseBranch} is checked out with local changes in ${checkout}`);
+  }
+  gitOrThrow(checkout, ['merge', '--ff-only', '-q', targetSha]);
+}
+
+async function runPrHook(prHook, repoRoot, env, timeoutMs) {
+  const result = await runStep(prHook, [], {
+    cwd: repoRoot,
+    shell: true,
+    env: { ...process.env, ...env },
+    timeoutMs,
+    label: 'prHook',
+  });
+  if (result.status !== 0) {
+    throw new Error(`prHook exited with ${result.status}: ${(result.stderr || result.stdout || '').trim().slice(-1000)}`);
+  }
+  const lines = (result.stdout || '').split('\n').map((line) => line.trim()).filter(Boolean);
+  return lines[lines.length - 1] || null;
+}
+
+/**
+ * Rebases a task branch onto its base and then merges it (fast-forward or squash) or pushes it
+ * and runs the PR hook. Never throws: the outcome is returned as `{ status, ... }` where status is
+ * `merged`, `pr_opened`, `pushed`, `conflict`, `dirty`, `no_changes` or `error`. Fetch, push and
+ * the PR hook run asynchronously and are killed after `settings.timeoutMs`.
+ */
+export async function integrateBranch(options) {
+  const { repoRoot, worktreesDir, branch, taskId, title, message, settings } = options;
+  const { action, strategy, remote, prHook, timeoutMs } = settings;
+  const result = { action, strategy, branch, base: settings.baseBranch || null, remote: remote || null, at: new Date().toISOString() };
+  let tempWorktree = '';
+
+  try {
+    if (!MERGE_STRATEGIES.includes(strategy)) {
+      throw new Error(`strategy must be one of: ${MERGE_STRATEGIES.join(', ')}`);
+    }
+    if (action === 'pr' && !remote && !prHook) {
+      throw new Error('opening a PR needs a remote to push to or a merge.prHook');
+    }
+    const baseBranch = settings.baseBranch || gitOrThrow(repoRoot, ['rev-parse', '--abbrev-ref', 'HEAD']);
+    result.base = baseBranch;
+    if (remote) {
+      await remoteGit(repoRoot, ['fetch', '-q', remote, baseBranch], timeoutMs);
+    }
+    const baseSha = gitOrThrow(repoRoot, ['rev-parse', remote ? `refs/remotes/${remote}/${baseBranch}` : `refs/heads/${baseBranch}`]);
+    result.baseSha = baseSha;
+
+    let worktreePath = options.worktreePath && fs.existsSync(options.worktreePath) ? options.worktreePath : '';
+    if (!worktreePath) {
+      tempWorktree = path.join(worktreesDir, `merge-${branch.replace(/\//g, '__')}`);
+      gitOrThrow(repoRoot, ['worktree', 'add', '-q', tempWorktree, branch]);
+      worktreePath = tempWorktree;
+    }
+
+    if (gitOrThrow(worktreePath, ['status', '--porcelain'])) {
+      return { ...result, status: 'dirty', error: 'worktree has uncommitted changes (enable autoCommit or commit them)' };
+    }
+
+    if (git(worktreePath, ['rebase', '-q', baseSha]).status !== 0) {
+      const conflicts = git(worktreePath, ['diff', '--name-only', '--diff-filter=U']).stdout.split('\n').filter(Boolean);
+      git(worktreePath, ['rebase', '--abort']);
+      return { ...result, status: 'conflict', conflicts };
+    }
+
+    const headSha = gitOrThrow(worktreePath, ['rev-parse', 'HEAD']);
+    result.commits = Number(gitOrThrow(worktreePath, ['rev-list', '--count', `${baseSha}..${headSha}`]));
+    if (result.commits === 0) {
+      return { ...result, status: 'no_changes' };
+    }
+
+    if (action === 'pr') {
+      if (remote) {
+        await remoteGit(repoRoot, ['push', '-q', '--force-with-lease', remote, `${branch}:refs/heads/${branch}`], timeoutMs);
+      }
+      if (!prHook) {
+        return { ...result, status: 'pushed', headSha };
+      }
+      const hookEnv = {
+        AUTODELEGATE_TASK_ID: taskId,
+        AUTODELEGATE_TITLE: title || taskId,
+        AUTODELEGATE_BRANCH: branch,
+        AUTODELEGATE_BASE: baseBranch,
+        AUTODELEGATE_REMOTE: remote || '',
+        AUTODELEGATE_HEAD_SHA: headSha,
+      };
+      const url = await runPrHook(prHook, repoRoot, hookEnv, timeoutMs);
+      return { ...result, status: 'pr_opened', headSha, url };
+    }
+
+    const mergedSha =
+      strategy === 'squash'
+        ? gitOrThrow(repoRoot, ['commit-tree', `${headSha}^{tree}`, '-p', baseSha, '-m', message || title || taskId])
+        : headSha;
+    if (remote) {
+      // A plain push is rejected unless it fast-forwards the remote base.
+      await remoteGit(repoRoot, ['push', '-q', remote, `${mergedSha}:refs/heads/${baseBranch}`], timeoutMs);
+    } else {
+      advanceLocalBranch(repoRoot, baseBranch, baseSha, mergedSha);
+    }
+    return { ...result, status: 'merged', headSha, mergedSha };
+  } catch (error) {
+    return { ...result, status: 'error', error: String(error.message || error) };
+  } finally {
+    if (tempWorktree) {
+      git(repoRoot, ['worktree', 'remove', '--force', tempWorktree]);
+    }
+  }
+}
@@ -0,0 +1,266 @@
+import path from 'node:path';
+import process from 'node:process';
+import { StringDecoder } from 'node:string_decoder';
+import { pathToFileURL } from 'node:url';
+
+export const OUTPUT_FORMATS = ['text', 'claude-stream-json', 'codex-json'];
+
+// The text parser only needs the end of the output; older bytes stay in stdout.log.
+const TEXT_RESULT_MAX_CHARS = 256 * 1024;
+
+function emptyUsage() {
+  return { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0 };
+}
+
+function count(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : 0;
+}
+
+/** Splits streamed chunks into complete lines and hands each parsed JSON object to `onEvent`. */
+function jsonLines(onEvent) {
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+  let skipped = 0;
+
+  const handle = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      return;
+    }
+    let event;
+    try {
+      event = JSON.parse(trimmed);
+    } catch {
+      skipped += 1;
+      return;
+    }
+    if (event && typeof event === 'object') {
+      onEvent(event);
+    }
+  };
+
+  return {
+    write(chunk) {
+      pending += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      lines.forEach(handle);
+    },
+    end() {
+      handle(pending + decoder.end());
+      pending = '';
+      return skipped;
+    },
+  };
+}
+
+function createTextParser() {
+  const decoder = new StringDecoder('utf8');
+  let text = '';
+  return {
+    write(chunk) {
+      text += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+      if (text.length > TEXT_RESULT_MAX_CHARS * 2) {
+        text = text.slice(-TEXT_RESULT_MAX_CHARS);
+      }
+    },
+    end() {
+      text += decoder.end();
+      return { result: text.slice(-TEXT_RESULT_MAX_CHARS).trim() };
+    },
+  };
+}
+
+/** `claude -p --output-format stream-json --verbose` (or `--output-format json`). */
+function createClaudeStreamParser() {
+  const state = { model: null, sessionId: null, toolCalls: 0, lastText: '', final: null };
+  const messageUsage = new Map();
+  const lines = jsonLines((event) => {
+    if (event.type === 'system' && event.subtype === 'init') {
+      state.model = event.model || state.model;
+      state.sessionId = event.session_id || state.sessionId;
+    } else if (event.type === 'assistant' && event.message) {
+      const content = Array.isArray(event.message.content) ? event.message.content : [];
+      const text = content.filter((part) => part.type === 'text').map((part) => part.text).join('');
+      if (text.trim()) {
+        state.lastText = text;
+      }
+      state.toolCalls += content.filter((part) => part.type === 'tool_use').length;
+      state.model = event.message.model || state.model;
+      if (event.message.usage) {
+        // Partial messages repeat their usage; keep one entry per message id.
+        messageUsage.set(event.message.id || messageUsage.size, event.message.usage);
+      }
+    } else if (event.type === 'result') {
+      state.final = event;
+      state.sessionId = event.session_id || state.sessionId;
+    }
+  });
+
+  return {
+    write: (chunk) => lines.write(chunk),
+    end() {
+      const skippedLines = lines.end();
+      const { final } = state;
+      const usages = final?.usage ? [final.usage] : Array.from(messageUsage.values());
+      const usage = emptyUsage();
+      for (const entry of usages) {
+        usage.inputTokens += count(entry.input_tokens);
+        usage.outputTokens += count(entry.output_tokens);
+        usage.cacheReadTokens += count(entry.cache_read_input_tokens);
+        usage.cacheWriteTokens += count(entry.cache_creation_input_tokens);
+      }
+      const costUsd = final ? Number(final.total_cost_usd ?? final.cost_usd) : NaN;
+      return {
+        result: String(final?.result ?? state.lastText).trim(),
+        isError: Boolean(final?.is_error),
+        usage: usages.length ? usage : null,
+        costUsd: Number.isFinite(costUsd) ? costUsd : null,
+        model: state.model,
+        sessionId: state.sessionId,
+        turns: final?.num_turns ?? null,
+        toolCalls: state.toolCalls,
+        skippedLines,
+      };
+    },
+  };
+}
+
+const CODEX_TOOL_ITEMS = ['command_execution', 'mcp_tool_call', 'file_change', 'web_search'];
+
+/** `codex exec --json`, both the `item.*`/`turn.*` event stream and the older `{ msg }` envelopes. */
+function createCodexJsonParser() {
+  const state = { model: null, sessionId: null, toolCalls: 0, turns: 0, lastText: '', error: null };
+  const usage = emptyUsage();
+  let hasUsage = false;
+
+  const addUsage = (entry, replace) => {
+    if (!entry) {
+      return;
+    }
+    const cached = count(entry.cached_input_tokens);
+    if (replace) {
+      Object.assign(usage, emptyUsage());
+    }
+    usage.inputTokens += Math.max(0, count(entry.input_tokens) - cached);
+    usage.cacheReadTokens += cached;
+    usage.outputTokens += count(entry.output_tokens);
+    hasUsage = true;
+  };
+
+  const lines = jsonLines((event) => {
+    const msg = event.msg && typeof event.msg === 'object' ? event.msg : null;
+    if (msg) {
+      if (msg.type === 'session_configured') {
+        state.model = msg.model || state.model;
+        state.sessionId = msg.session_id || state.sessionId;
+      } else if (msg.type === 'agent_message' && msg.message) {
+        state.lastText = msg.message;
+      } else if (msg.type === 'task_complete') {
+        state.turns += 1;
+        state.lastText = msg.last_agent_message || state.lastText;
+      } else if (msg.type === 'exec_command_begin' || msg.type === 'mcp_tool_call_begin') {
+        state.toolCalls += 1;
+      } else if (msg.type === 'token_count') {
+        // Token counts are running totals for the session.
+        addUsage(msg.info?.total_token_usage || msg, true);
+      } else if (msg.type === 'error') {
+        state.error = msg.message || 'error';
+      }
+      return;
+    }
+
+    if (event.type === 'thread.started') {
+      state.sessionId = event.thread_id || state.sessionId;
+    } else if (event.type === 'item.completed' && event.item) {
+      if (event.item.type === 'agent_message' && event.item.text) {
+        state.lastText = event.item.text;
+      } else if (CODEX_TOOL_ITEMS.includes(event.item.type)) {
+        state.toolCalls += 1;
+      }
+    } else if (event.type === 'turn.completed') {
+      state.turns += 1;
+      addUsage(event.usage, false);
+    } else if (event.type === 'turn.failed' || event.type === 'error') {
+      state.error = event.error?.message || event.message || 'error';
+    }
+  });
+
+  return {
+    write: (chunk) => lines.write(chunk),
+    end() {
+      const skippedLines = lines.end();
+      return {
+        result: String(state.lastText).trim(),
+        isError: Boolean(state.error),
+        error: state.error || undefined,
+        usage: hasUsage ? { ...usage } : null,
+        costUsd: null,
+        model: state.model,
+        sessionId: state.sessionId,
+        turns: state.turns || null,
+        toolCalls: state.toolCalls,
+        skippedLines,
+      };
+    },
+  };
+}
+
+const BUILTIN_PARSERS = {
+  text: createTextParser,
+  'claude-stream-json': createClaudeStreamParser,
+  'codex-json': createCodexJsonParser,
+};
+
+function parserError(message) {
+  const error = new Error(message);
+  error.reason = 'output_parser_error';
+  return error;
+}
+
+/**
+ * Creates the stdout parser for an agent's `outputFormat`: a built-in format name, or the path of
+ * an ES module (absolute or relative to `baseDir`) whose default export or `createParser` returns
+ * `{ write(chunk), end() }`. `end()` returns `{ result, usage, costUsd, ... }`.
+ */
+export async function createOutputParser(format, { baseDir, agent } = {}) {
+  const name = format || 'text';
+  if (BUILTIN_PARSERS[name]) {
+    return BUILTIN_PARSERS[name]();
+  }
+  if (!/[\\/]|\.m?js$/.test(name)) {
+    throw parserError(`unknown outputFormat "${name}" (expected ${OUTPUT_FORMATS.join(', ')} or a parser module path)`);
+  }
+  const modulePath = path.resolve(baseDir || process.cwd(), name);
+  let plugin;
+  try {
+    plugin = await import(pathToFileURL(modulePath).href);
+  } catch (error) {
+    throw parserError(`could not load output parser ${modulePath}: ${error.message}`);
+  }
+  const factory = typeof plugin.createParser === 'function' ? plugin.createParser : plugin.default;
+  const parser = typeof factory === 'function' ? await factory({ agent }) : null;
+  if (!parser || typeof parser.write !== 'function' || typeof parser.end !== 'function') {
+    throw parserError(`output parser ${modulePath} must export createParser() returning { write, end }`);
+  }
+  return parser;
+}
+
+/**
+ * Prices token usage with an agent's `pricing` (USD per million tokens) when the CLI did not
+ * report a cost itself.
+ */
+export function estimateCostUsd(usage, pricing) {
+  if (!usage || !pricing || typeof pricing !== 'object') {
+    return null;
+  }
+  const rate = (key) => Number(pricing[key]) || 0;
+  const cost =
+    (count(usage.inputTokens) * rate('inputPerMTok') +
+      count(usage.outputTokens) * rate('outputPerMTok') +
+      count(usage.cacheReadTokens) * rate('cacheReadPerMTok') +
+      count(usage.cacheWriteTokens) * rate('cacheWritePerMTok')) /
+    1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
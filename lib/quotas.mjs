@@ -0,0 +1,137 @@
+import fs from 'node:fs';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const USAGE_EVENT = 'run_usage';
+
+/** Every limit a `quotas.global` or `quotas.agents.<name>` block may set, with its rolling window. */
+export const QUOTA_LIMITS = {
+  runsPerHour: { metric: 'runs', windowMs: HOUR_MS },
+  runsPerDay: { metric: 'runs', windowMs: DAY_MS },
+  runtimeMsPerHour: { metric: 'runtimeMs', windowMs: HOUR_MS },
+  runtimeMsPerDay: { metric: 'runtimeMs', windowMs: DAY_MS },
+  costUsdPerHour: { metric: 'costUsd', windowMs: HOUR_MS },
+  costUsdPerDay: { metric: 'costUsd', windowMs: DAY_MS },
+};
+
+export const QUOTA_WINDOW_MS = DAY_MS;
+
+/** Ledger entry for a run: `finishedAtMs` stays null while it is still running. */
+export function usageEntry(agent, startedAtMs, finishedAtMs = null, costUsd = null) {
+  return { agent, startedAtMs, finishedAtMs, costUsd: Number.isFinite(costUsd) ? costUsd : null };
+}
+
+/** Reads the `run_usage` events of the last day from `daemon.log`. */
+export function readUsageLog(logPath, now = Date.now()) {
+  if (!fs.existsSync(logPath)) {
+    return [];
+  }
+  const entries = [];
+  for (const line of fs.readFileSync(logPath, 'utf8').split('\n')) {
+    if (!line.includes(USAGE_EVENT)) {
+      continue;
+    }
+    try {
+      const event = JSON.parse(line);
+      const finishedAtMs = Date.parse(event.at || '');
+      if (event.status !== USAGE_EVENT || !Number.isFinite(finishedAtMs) || finishedAtMs < now - QUOTA_WINDOW_MS) {
+        continue;
+      }
+      const startedAtMs = Date.parse(event.startedAt || '');
+      entries.push(
+        usageEntry(
+          event.agent,
+          Number.isFinite(startedAtMs) ? startedAtMs : finishedAtMs - (Number(event.durationMs) || 0),
+          finishedAtMs,
+          Number(event.costUsd),
+        ),
+      );
+    } catch {
+      // ignore partial lines
+    }
+  }
+  return entries;
+}
+
+/**
+ * Consumption per limit key for one agent (or all agents when `agent` is null). Runs count by start
+ * time, runtime is the part of each run inside the window (running ones up to now) and cost counts
+ * by finish time.
+ */
+export function measureUsage(entries, agent, now = Date.now()) {
+  const used = {};
+  for (const [key, { metric, windowMs }] of Object.entries(QUOTA_LIMITS)) {
+    const since = now - windowMs;
+    let total = 0;
+    for (const entry of entries) {
+      if (agent && entry.agent !== agent) {
+        continue;
+      }
+      if (metric === 'runs') {
+        total += entry.startedAtMs >= since ? 1 : 0;
+      } else if (metric === 'runtimeMs') {
+        total += Math.max(0, Math.min(entry.finishedAtMs ?? now, now) - Math.max(entry.startedAtMs, since));
+      } else if (entry.finishedAtMs !== null && entry.finishedAtMs >= since) {
+        total += entry.costUsd || 0;
+      }
+    }
+    used[key] = metric === 'costUsd' ? Math.round(total * 1e6) / 1e6 : total;
+  }
+  return used;
+}
+
+function readLimits(block) {
+  const limits = {};
+  if (!block || typeof block !== 'object') {
+    return limits;
+  }
+  for (const key of Object.keys(QUOTA_LIMITS)) {
+    const max = Number(block[key]);
+    if (Number.isFinite(max) && max > 0) {
+      limits[key] = max;
+    }
+  }
+  return limits;
+}
+
+function quotaScopes(config, agent) {
+  const quotas = config.quotas && typeof config.quotas === 'object' ? config.quotas : {};
+  const scopes = [{ scope: 'global', agent: null, limits: readLimits(quotas.global) }];
+  if (agent) {
+    scopes.push({ scope: 'agent', agent, limits: readLimits(quotas.agents?.[agent]) });
+  }
+  return scopes;
+}
+
+/**
+ * Returns the first limit that stops `agent` from starting another run, as
+ * `{ scope, agent, limit, used, max }`, or null while every applicable quota has room.
+ */
+export function findExceededQuota(config, entries, agent, now = Date.now()) {
+  for (const { scope, agent: scopeAgent, limits } of quotaScopes(config, agent)) {
+    if (!Object.keys(limits).length) {
+      continue;
+    }
+    const used = measureUsage(entries, scopeAgent, now);
+    for (const [limit, max] of Object.entries(limits)) {
+      if (used[limit] >= max) {
+        return { scope, agent: scopeAgent, limit, used: used[limit], max };
+      }
+    }
+  }
+  return null;
+}
+
+/** Consumption and limits for the global scope and each named agent, for status output. */
+export function quotaReport(config, entries, agentNames, now = Date.now()) {
+  const describe = (agent) => {
+    const limits = readLimits(agent ? config.quotas?.agents?.[agent] : config.quotas?.global);
+    const used = measureUsage(entries, agent, now);
+    return { used, limits, exceeded: Object.keys(limits).filter((key) => used[key] >= limits[key]) };
+  };
+  return {
+    global: describe(null),
+    agents: Object.fromEntries(agentNames.map((name) => [name, describe(name)])),
+  };
+}
@@ -0,0 +1,344 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function listFiles(dirPath, suffix) {
+  if (!fs.existsSync(dirPath)) {
+    return [];
+  }
+  return fs
+    .readdirSync(dirPath)
+    .filter((name) => name.endsWith(suffix))
+    .sort((a, b) => a.localeCompare(b));
+}
+
+function commandExists(command) {
+  const result = spawnSync('which', [command], { stdio: 'ignore' });
+  return result.status === 0;
+}
+
+function positiveLimit(value, fallback) {
+  const limit = Number(value);
+  if (!Number.isFinite(limit) || limit < 1) {
+    return fallback;
+  }
+  return Math.floor(limit);
+}
+
+function stringList(value) {
+  return Array.isArray(value) ? value.map(String).filter(Boolean) : [];
+}
+
+/**
+ * Loads enabled agents whose command is installed from `*.agent.json` files; later directories
+ * override earlier ones by `name`. Problems are reported through `log(message, extra)`.
+ */
+export function loadAgents(agentsDirs, log = () => {}) {
+  const byName = new Map();
+
+  for (const agentsDir of agentsDirs) {
+    if (!agentsDir || !fs.existsSync(agentsDir)) {
+      continue;
+    }
+
+    const files = listFiles(agentsDir, '.agent.json');
+    for (const fileName of files) {
+      const fullPath = path.join(agentsDir, fileName);
+      try {
+        const agent = readJson(fullPath);
+        if (agent.enabled === false) {
+          continue;
+        }
+        if (!agent.name || !agent.command) {
+          log(`Skipping invalid agent config: ${fullPath}`);
+          continue;
+        }
+        if (!commandExists(agent.command)) {
+          continue;
+        }
+
+        byName.set(agent.name, {
+          ...agent,
+          promptMode: agent.promptMode === 'stdin' ? 'stdin' : 'argument',
+          defaultArgs: Array.isArray(agent.defaultArgs) ? agent.defaultArgs.map(String) : [],
+          useWorktree: agent.useWorktree !== false,
+          capabilities: stringList(agent.capabilities),
+          labels: stringList(agent.labels),
+        });
+      } catch (error) {
+        log(`Failed to load agent config: ${fullPath}`, String(error));
+      }
+    }
+  }
+
+  return Array.from(byName.values());
+}
+
+export function agentConcurrencyLimit(agent, config) {
+  const overrides = config.agentConcurrency && typeof config.agentConcurrency === 'object' ? config.agentConcurrency : {};
+  return positiveLimit(overrides[agent.name] ?? agent.maxConcurrency, Infinity);
+}
+
+function agentTags(agent) {
+  return new Set([...agent.capabilities, ...agent.labels]);
+}
+
+function missingRequirements(agent, task) {
+  const tags = agentTags(agent);
+  return stringList(task.requires).filter((tag) => !tags.has(tag));
+}
+
+/**
+ * Ranks the agents that have every tag in `task.requires`: agents with a free slot first, then
+ * the most `task.prefers` matches, then the lowest load relative to the agent's cap, then
+ * `routingOrder`. Returns null (with the rejected agents) when no agent satisfies `requires`.
+ */
+function routeByCapabilities(task, agents, config, scheduler) {
+  const requires = stringList(task.requires);
+  const prefers = stringList(task.prefers);
+  const order = Array.isArray(config.routingOrder) ? config.routingOrder : [];
+  const candidates = [];
+  const rejected = [];
+  agents.forEach((agent, position) => {
+    const tags = agentTags(agent);
+    const missing = missingRequirements(agent, task);
+    if (missing.length) {
+      rejected.push({ agent: agent.name, missing });
+      return;
+    }
+    const load = scheduler?.agentLoad.get(agent.name) || 0;
+    const limit = agentConcurrencyLimit(agent, config);
+    const rank = order.indexOf(agent.name);
+    candidates.push({
+      agent,
+      matched: prefers.filter((tag) => tags.has(tag)),
+      load,
+      limit: Number.isFinite(limit) ? limit : null,
+      free: load < limit,
+      ratio: Number.isFinite(limit) ? load / limit : 0,
+      rank: rank === -1 ? order.length + position : rank,
+    });
+  });
+  const base = { rule: 'capabilities', requires, prefers };
+  if (!candidates.length) {
+    return { agent: null, routing: { ...base, detail: 'no agent has every required capability', rejected } };
+  }
+
+  candidates.sort(
+    (a, b) =>
+      Number(b.free) - Number(a.free) ||
+      b.matched.length - a.matched.length ||
+      a.ratio - b.ratio ||
+      a.rank - b.rank,
+  );
+  const [best] = candidates;
+  const detail = [
+    requires.length ? `has ${requires.join(', ')}` : '',
+    prefers.length ? `matches ${best.matched.length}/${prefers.length} preferred` : '',
+    `load ${best.load}/${best.limit ?? 'unlimited'}`,
+  ].filter(Boolean);
+  return {
+    agent: best.agent,
+    routing: {
+      ...base,
+      detail: detail.join('; '),
+      candidates: candidates.map((entry) => ({
+        agent: entry.agent.name,
+        matched: entry.matched,
+        load: entry.load,
+        limit: entry.limit,
+      })),
+      rejected: rejected.length ? rejected : undefined,
+    },
+  };
+}
+
+/** Converts a path glob (`*`, `**`, `?`) to a RegExp; globs without a `/` match the file name anywhere. */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i += 1) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      i += 1;
+      if (glob[i + 1] === '/') {
+        i += 1;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(glob.includes('/') ? `^${source}$` : `(?:^|/)${source}$`);
+}
+
+function ruleLabel(rule, index) {
+  return `rule #${index + 1}${rule.name ? ` "${rule.name}"` : ''}`;
+}
+
+/**
+ * Checks one `routingRules` entry against a task. Every condition the rule sets must hold:
+ * `title`/`prompt` regexes (`flags` default to `i`), any of `tags` in `task.tags`, and any of the
+ * `paths` globs matching one of `task.paths`. Returns `{ matched, reasons }` or `{ matched: false, reason }`.
+ */
+export function evaluateRoutingRule(rule, task) {
+  const reasons = [];
+  const flags = typeof rule.flags === 'string' ? rule.flags : 'i';
+  for (const field of ['title', 'prompt']) {
+    if (rule[field] === undefined) {
+      continue;
+    }
+    let pattern;
+    try {
+      pattern = new RegExp(String(rule[field]), flags);
+    } catch (error) {
+      return { matched: false, reason: `invalid ${field} regex: ${error.message}` };
+    }
+    if (!pattern.test(String(task[field] || ''))) {
+      return { matched: false, reason: `${field} does not match ${pattern}` };
+    }
+    reasons.push(`${field} matches ${pattern}`);
+  }
+  if (rule.tags !== undefined) {
+    const wanted = stringList(rule.tags);
+    const found = stringList(task.tags).filter((tag) => wanted.includes(tag));
+    if (!found.length) {
+      return { matched: false, reason: `no tag in ${wanted.join(', ')}` };
+    }
+    reasons.push(`tagged ${found.join(', ')}`);
+  }
+  if (rule.paths !== undefined) {
+    const globs = stringList(rule.paths);
+    const touched = stringList(task.paths).find((file) => globs.some((glob) => globToRegExp(glob).test(file)));
+    if (!touched) {
+      return { matched: false, reason: `no path matches ${globs.join(', ')}` };
+    }
+    reasons.push(`touches ${touched}`);
+  }
+  if (!reasons.length) {
+    return { matched: false, reason: 'rule has no title, prompt, tags or paths condition' };
+  }
+  return { matched: true, reasons };
+}
+
+function routeByRules(task, agents, config, note) {
+  const rules = Array.isArray(config.routingRules) ? config.routingRules : [];
+  for (const [index, rule] of rules.entries()) {
+    if (!rule || typeof rule !== 'object') {
+      continue;
+    }
+    const label = ruleLabel(rule, index);
+    const result = evaluateRoutingRule(rule, task);
+    if (!result.matched) {
+      note(`${label}: ${result.reason}`);
+      continue;
+    }
+    const names = Array.isArray(rule.agent) ? rule.agent.map(String) : [String(rule.agent || '')];
+    const agent = names.map((name) => agents.find((entry) => entry.name === name)).find(Boolean);
+    if (!agent) {
+      note(`${label}: matched, but ${names.join(', ') || 'no agent'} is not available`);
+      continue;
+    }
+    note(`${label}: ${result.reasons.join(', ')} -> ${agent.name}`);
+    return {
+      agent,
+      routing: { rule: 'routingRule', ruleIndex: index, ruleName: rule.name, detail: `${label}: ${result.reasons.join(', ')}` },
+    };
+  }
+  return null;
+}
+
+function pickPrimaryAgent(task, agents, config, scheduler, note) {
+  if (!agents.length) {
+    return { agent: null, routing: { rule: 'none', detail: 'no agents available' } };
+  }
+
+  if (task.agent) {
+    const named = agents.find((agent) => agent.name === task.agent);
+    if (named) {
+      return { agent: named, routing: { rule: 'agent', detail: `task agent ${task.agent}` } };
+    }
+    note(`task agent ${task.agent} is not available`);
+  }
+
+  if (task.tool) {
+    const byTool = agents.find((agent) => agent.command === task.tool);
+    if (byTool) {
+      return { agent: byTool, routing: { rule: 'tool', detail: `first agent running ${task.tool}` } };
+    }
+    note(`no available agent runs ${task.tool}`);
+  }
+
+  if (stringList(task.requires).length || stringList(task.prefers).length) {
+    return routeByCapabilities(task, agents, config, scheduler);
+  }
+
+  const byRule = routeByRules(task, agents, config, note);
+  if (byRule) {
+    return byRule;
+  }
+
+  if (Array.isArray(config.routingOrder)) {
+    for (const name of config.routingOrder) {
+      const found = agents.find((agent) => agent.name === name);
+      if (found) {
+        return { agent: found, routing: { rule: 'routingOrder', detail: 'first available agent in routingOrder' } };
+      }
+    }
+  }
+
+  return { agent: agents[0], routing: { rule: 'default', detail: 'first available agent' } };
+}
+
+function fallbackAgentNames(task, config) {
+  if (Array.isArray(task.fallbackAgents)) {
+    return task.fallbackAgents.map(String);
+  }
+  if (Array.isArray(config.fallbackAgents)) {
+    return config.fallbackAgents.map(String);
+  }
+  return [];
+}
+
+/**
+ * Chooses the agent for a task's next attempt and explains the choice as `routing`. Steps that
+ * were considered and skipped are appended to `trace` when one is passed.
+ */
+export function routeTask(task, agents, config, scheduler, trace) {
+  const note = (line) => trace?.push(line);
+  const primary = pickPrimaryAgent(task, agents, config, scheduler, note);
+  const attempt = Number(task.attempt ?? 0);
+  const fallbacks = fallbackAgentNames(task, config);
+  if (!primary.agent || attempt < 1 || !fallbacks.length) {
+    return primary;
+  }
+
+  // Retry n runs on fallbacks[n - 1]; once the list is exhausted the last fallback keeps the task.
+  for (const name of fallbacks.slice(Math.min(attempt, fallbacks.length) - 1)) {
+    const found = agents.find((agent) => agent.name === name);
+    if (!found) {
+      continue;
+    }
+    const missing = missingRequirements(found, task);
+    if (missing.length) {
+      note(`fallback ${name} lacks required ${missing.join(', ')}`);
+      continue;
+    }
+    return {
+      agent: found,
+      routing: { rule: 'fallback', detail: `fallback for retry ${attempt}`, primary: primary.agent.name },
+    };
+  }
+  const skipped = `no fallback agent for retry ${attempt} is available and qualified; keeping ${primary.agent.name}`;
+  note(skipped);
+  return { agent: primary.agent, routing: { ...primary.routing, fallbackSkipped: skipped } };
+}
@@ -0,0 +1,144 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+
+export const TASK_STATES = ['inbox', 'processing', 'completed', 'failed', 'cancelled'];
+
+const INDEX_FILE = 'index.json';
+
+/**
+ * Canonical file name for a task id. Ids that are already filename-safe map to
+ * `<id>.json`; anything else is sanitized and suffixed with a short hash so two
+ * ids never share a file.
+ */
+export function taskFileName(taskId) {
+  const id = String(taskId);
+  const safe = id.replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^[.-]+/, '').slice(0, 100) || 'task';
+  if (safe === id) {
+    return `${id}.json`;
+  }
+  const hash = crypto.createHash('sha1').update(id).digest('hex').slice(0, 8);
+  return `${safe}-${hash}.json`;
+}
+
+/** Directory name under `<home>/runs/` for a task's attempts; collision-safe like {@link taskFileName}. */
+export function taskRunsKey(taskId) {
+  return taskFileName(taskId).slice(0, -'.json'.length);
+}
+
+export function taskFilePath(homeDir, state, taskId) {
+  return path.join(homeDir, state, taskFileName(taskId));
+}
+
+/** Cancel request for a running task, one per task under `<home>/control/`; collision-safe like {@link taskFileName}. */
+export function cancelMarkerPath(homeDir, taskId) {
+  return path.join(homeDir, 'control', `cancel-${taskRunsKey(taskId)}.json`);
+}
+
+function indexPath(homeDir) {
+  return path.join(homeDir, INDEX_FILE);
+}
+
+export function readIndex(homeDir) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(indexPath(homeDir), 'utf8'));
+    if (parsed && typeof parsed.tasks === 'object') {
+      return parsed;
+    }
+  } catch {
+    // missing or corrupt index is rebuilt on demand
+  }
+  return { version: 1, tasks: {} };
+}
+
+function writeIndex(homeDir, index) {
+  const target = indexPath(homeDir);
+  const tmp = `${target}.${process.pid}.tmp`;
+  fs.mkdirSync(homeDir, { recursive: true });
+  fs.writeFileSync(tmp, `${JSON.stringify(index, null, 2)}\n`, 'utf8');
+  fs.renameSync(tmp, target);
+}
+
+/**
+ * Records where a task lives now. The index is a cache: concurrent writers can
+ * lose an update, so lookups verify entries and fall back to a scan.
+ */
+export function recordTaskState(homeDir, taskId, state, filePath) {
+  const index = readIndex(homeDir);
+  index.tasks[taskId] = {
+    state,
+    file: path.relative(homeDir, filePath),
+    updatedAt: new Date().toISOString(),
+  };
+  writeIndex(homeDir, index);
+}
+
+function readTaskId(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8')).id || '';
+  } catch {
+    return '';
+  }
+}
+
+/** Checks the canonical file name in each state; files from older layouts are only found by {@link rebuildIndex}. */
+function findCanonicalTask(homeDir, taskId) {
+  for (const state of TASK_STATES) {
+    const filePath = taskFilePath(homeDir, state, taskId);
+    if (fs.existsSync(filePath)) {
+      return { state, filePath };
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds a task by id: O(1) through the index, falling back to one existence
+ * check per state directory, which also repairs stale or missing entries.
+ */
+export function lookupTask(homeDir, taskId) {
+  const entry = readIndex(homeDir).tasks[taskId];
+  if (entry) {
+    const filePath = path.join(homeDir, entry.file);
+    if (TASK_STATES.includes(entry.state) && fs.existsSync(filePath)) {
+      return { state: entry.state, filePath };
+    }
+  }
+
+  const found = findCanonicalTask(homeDir, taskId);
+  if (found) {
+    recordTaskState(homeDir, taskId, found.state, found.filePath);
+  }
+  return found;
+}
+
+/**
+ * Rebuilds the index from the queue directories and renames legacy files
+ * (`retry-...`, `<timestamp>-...`) to their canonical names.
+ */
+export function rebuildIndex(homeDir) {
+  const index = { version: 1, tasks: {} };
+  for (const state of TASK_STATES) {
+    const dirPath = path.join(homeDir, state);
+    if (!fs.existsSync(dirPath)) {
+      continue;
+    }
+    for (const fileName of fs.readdirSync(dirPath).filter((name) => name.endsWith('.json')).sort()) {
+      let filePath = path.join(dirPath, fileName);
+      const taskId = readTaskId(filePath) || path.basename(fileName, '.json');
+      const canonical = path.join(dirPath, taskFileName(taskId));
+      if (canonical !== filePath && !fs.existsSync(canonical)) {
+        fs.renameSync(filePath, canonical);
+        filePath = canonical;
+      }
+      index.tasks[taskId] = {
+        state,
+        file: path.relative(homeDir, filePath),
+        updatedAt: new Date().toISOString(),
+      };
+    }
+  }
+  writeIndex(homeDir, index);
+  return index;
+}
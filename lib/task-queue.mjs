@@ -0,0 +1,248 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { SUCCESS_ACTIONS } from './merge.mjs';
+import { lookupTask, recordTaskState, taskFilePath } from './task-index.mjs';
+
+export const DEPENDENCY_OUTPUT_MODES = ['none', 'summary', 'full'];
+export const REQUEUEABLE_STATES = ['failed', 'completed', 'cancelled'];
+
+function slugify(value) {
+  return String(value || 'task')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'task';
+}
+
+function tsCompact() {
+  return new Date().toISOString().replace(/[-:.]/g, '').replace('T', '-').replace('Z', 'Z');
+}
+
+function taskError(message, reason = 'invalid_task') {
+  const error = new Error(message);
+  error.reason = reason;
+  return error;
+}
+
+function stringList(value) {
+  return Array.isArray(value) ? value.map(String).map((item) => item.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Validates submitted task fields and returns the inbox payload. `label(field)` names a field in
+ * error messages (e.g. `maxAttempts` over HTTP, `--max-attempts` on the command line); `allowCwd`
+ * is false for callers that must not choose where an agent runs.
+ */
+export function buildTaskPayload(input, { label = (field) => field, allowCwd = true } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw taskError('Task fields must be a JSON object.');
+  }
+  if (!input.title || (!input.prompt && !input.template)) {
+    throw taskError(`${label('title')} and one of ${label('prompt')} or ${label('template')} are required.`);
+  }
+  if (input.vars !== undefined && (!input.vars || typeof input.vars !== 'object' || Array.isArray(input.vars))) {
+    throw taskError(`${label('vars')} must be an object of template variables.`);
+  }
+  if (!allowCwd && input.cwd !== undefined) {
+    throw taskError(`${label('cwd')} cannot be set here.`);
+  }
+
+  const id = input.id ? String(input.id) : `${slugify(input.title)}-${tsCompact()}`;
+  const text = (field) => (input[field] === undefined || input[field] === null ? undefined : String(input[field]));
+  const list = (field) => {
+    const values = stringList(input[field]);
+    return values.length ? values : undefined;
+  };
+  const payload = {
+    id,
+    title: String(input.title),
+    prompt: input.prompt ? String(input.prompt) : '',
+    template: text('template'),
+    vars: input.vars && Object.keys(input.vars).length ? input.vars : undefined,
+    agent: text('agent'),
+    tool: text('tool'),
+    requires: list('requires'),
+    prefers: list('prefers'),
+    tags: list('tags'),
+    paths: list('paths'),
+    fallbackAgents: list('fallbackAgents'),
+    cwd: text('cwd'),
+    maxAttempts: Number(input.maxAttempts ?? 2),
+    priority: input.priority === undefined ? undefined : Number(input.priority),
+    timeoutMs: input.timeoutMs === undefined ? undefined : Number(input.timeoutMs),
+    dependsOn: list('dependsOn'),
+    dependencyOutput: text('dependencyOutput'),
+    onSuccess: input.onSuccess,
+    baseRef: text('baseRef'),
+    branch: text('branch'),
+    continueFrom: text('continueFrom'),
+    branchTemplate: text('branchTemplate'),
+    attempt: 0,
+    createdAt: new Date().toISOString(),
+  };
+
+  if (!Number.isFinite(payload.maxAttempts) || payload.maxAttempts < 1) {
+    throw taskError(`${label('maxAttempts')} must be a positive number.`);
+  }
+  if (payload.priority !== undefined && !Number.isInteger(payload.priority)) {
+    throw taskError(`${label('priority')} must be an integer.`);
+  }
+  if (payload.timeoutMs !== undefined && (!Number.isFinite(payload.timeoutMs) || payload.timeoutMs <= 0)) {
+    throw taskError(`${label('timeoutMs')} must be a positive number.`);
+  }
+  if (payload.dependencyOutput && !DEPENDENCY_OUTPUT_MODES.includes(payload.dependencyOutput)) {
+    throw taskError(`${label('dependencyOutput')} must be one of: ${DEPENDENCY_OUTPUT_MODES.join(', ')}.`);
+  }
+  if (payload.branch && payload.continueFrom) {
+    throw taskError(`Pass either ${label('branch')} or ${label('continueFrom')}, not both.`);
+  }
+  if (payload.onSuccess !== undefined && typeof payload.onSuccess !== 'object' && !SUCCESS_ACTIONS.includes(payload.onSuccess)) {
+    throw taskError(`${label('onSuccess')} must be one of: ${SUCCESS_ACTIONS.join(', ')}.`);
+  }
+  if (payload.dependsOn?.includes(id) || payload.continueFrom === id) {
+    throw taskError('A task cannot depend on itself.');
+  }
+
+  for (const key of Object.keys(payload)) {
+    if (payload[key] === undefined || payload[key] === null || payload[key] === '') {
+      delete payload[key];
+    }
+  }
+  return payload;
+}
+
+/** Ids a task waits for: its `dependsOn`, plus the task whose branch `continueFrom` continues. */
+export function taskDependencies(task) {
+  const deps = Array.isArray(task.dependsOn) ? task.dependsOn.map(String).filter(Boolean) : [];
+  if (task.continueFrom && !deps.includes(String(task.continueFrom))) {
+    deps.push(String(task.continueFrom));
+  }
+  return deps;
+}
+
+/** Things worth telling the submitter that do not stop the task from being queued. */
+export function submissionWarnings(homeDir, payload) {
+  const warnings = [];
+  if (payload.continueFrom && !lookupTask(homeDir, payload.continueFrom)) {
+    warnings.push(`task ${payload.continueFrom} is not queued yet; this task waits until it completes.`);
+  }
+  if (payload.template) {
+    const promptsDir = path.join(homeDir, 'prompts');
+    const fileName = payload.template.endsWith('.md') ? payload.template : `${payload.template}.md`;
+    if (!fs.existsSync(path.join(promptsDir, fileName))) {
+      warnings.push(`prompt template ${payload.template} not found in ${promptsDir}; the task fails unless it is added.`);
+    }
+  }
+  for (const depId of payload.dependsOn || []) {
+    if (!lookupTask(homeDir, depId)) {
+      warnings.push(`dependency ${depId} is not queued yet; the task stays blocked until it completes.`);
+    }
+  }
+  return warnings;
+}
+
+/**
+ * Writes a built payload to the inbox. Ids already used in any state are refused with
+ * `reason: "duplicate_id"`; the `wx` flag closes the race with a concurrent submit of the same id.
+ */
+export function submitTask(homeDir, payload) {
+  const existing = lookupTask(homeDir, payload.id);
+  if (existing) {
+    const error = taskError(`Task ${payload.id} already exists (${existing.state}: ${existing.filePath}).`, 'duplicate_id');
+    error.existing = existing;
+    throw error;
+  }
+  const filePath = taskFilePath(homeDir, 'inbox', payload.id);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  try {
+    fs.writeFileSync(filePath, `${JSON.stringify(payload, null, 2)}\n`, { encoding: 'utf8', flag: 'wx' });
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+    throw taskError(`Task ${payload.id} already exists (inbox: ${filePath}).`, 'duplicate_id');
+  }
+  recordTaskState(homeDir, payload.id, 'inbox', filePath);
+  return filePath;
+}
+
+/**
+ * Moves a queued task to `cancelled`. The move comes first so a daemon claiming the task at the
+ * same moment wins cleanly: the rename then fails with `ENOENT` and the caller treats the task as
+ * running. An unreadable payload is still moved out of the queue.
+ */
+export function cancelQueuedTask(homeDir, inboxPath, taskId) {
+  const cancelledPath = taskFilePath(homeDir, 'cancelled', taskId);
+  fs.mkdirSync(path.dirname(cancelledPath), { recursive: true });
+  fs.renameSync(inboxPath, cancelledPath);
+  try {
+    const task = JSON.parse(fs.readFileSync(cancelledPath, 'utf8'));
+    task.cancelledAt = new Date().toISOString();
+    fs.writeFileSync(cancelledPath, `${JSON.stringify(task, null, 2)}\n`, 'utf8');
+  } catch {
+    // kept as is; the daemon reports unreadable payloads
+  }
+  recordTaskState(homeDir, taskId, 'cancelled', cancelledPath);
+  fs.appendFileSync(
+    path.join(homeDir, 'daemon.log'),
+    `${JSON.stringify({
+      at: new Date().toISOString(),
+      status: 'cancelled',
+      reason: 'cancelled',
+      taskId,
+      taskFile: cancelledPath,
+    })}\n`,
+    'utf8',
+  );
+  return cancelledPath;
+}
+
+/**
+ * Moves a finished task back to the inbox, keeping its id and attempt history and recording the
+ * requeue in `requeues`. `overrides` may reset the attempt counter or replace the agent or prompt.
+ */
+export function requeueTask(homeDir, entry, fromState, overrides = {}) {
+  const { task, taskId, filePath } = entry;
+  task.requeues = [
+    ...(Array.isArray(task.requeues) ? task.requeues : []),
+    {
+      at: new Date().toISOString(),
+      from: fromState,
+      reason: task.lastReason || null,
+      attempt: Number(task.attempt ?? 0),
+      agent: overrides.agent || undefined,
+      promptChanged: overrides.prompt ? true : undefined,
+    },
+  ];
+  if (overrides.resetAttempts) {
+    task.attempt = 0;
+  }
+  if (overrides.agent) {
+    task.agent = String(overrides.agent);
+  }
+  if (overrides.prompt) {
+    task.prompt = String(overrides.prompt);
+  }
+  task.requeuedAt = new Date().toISOString();
+  delete task.notBefore;
+  delete task.cancelledAt;
+
+  const inboxPath = taskFilePath(homeDir, 'inbox', taskId);
+  fs.writeFileSync(filePath, `${JSON.stringify(task, null, 2)}\n`, 'utf8');
+  fs.mkdirSync(path.dirname(inboxPath), { recursive: true });
+  fs.renameSync(filePath, inboxPath);
+  recordTaskState(homeDir, taskId, 'inbox', inboxPath);
+  fs.appendFileSync(
+    path.join(homeDir, 'daemon.log'),
+    `${JSON.stringify({
+      at: new Date().toISOString(),
+      status: 'requeued',
+      taskId,
+      from: fromState,
+      reason: task.requeues[task.requeues.length - 1].reason,
+      taskFile: inboxPath,
+    })}\n`,
+    'utf8',
+  );
+  return inboxPath;
+}
@@ -0,0 +1,178 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { spawn, spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { after, before, describe, test } from 'node:test';
+
+const DAEMON = fileURLToPath(new URL('../bin/autodelegate-daemon.mjs', import.meta.url));
+
+let root = '';
+let homeDir = '';
+let port = 0;
+let daemon = null;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port: free } = server.address();
+      server.close(() => resolve(free));
+    });
+  });
+}
+
+/** Starts the daemon with the API on `port`; with no agents configured, submitted tasks stay queued. */
+function startDaemon() {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [DAEMON, '--http', `127.0.0.1:${port}`, '--poll-ms', '200'], {
+      cwd: path.join(root, 'repo'),
+      env: { ...process.env, AUTO_DELEGATE_HOME: homeDir, AUTO_DELEGATE_DISABLE_GLOBAL_AGENTS: '1' },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`daemon did not start the API:\n${output}`)), 10000);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('HTTP API listening')) {
+        clearTimeout(timer);
+        resolve(child);
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`daemon exited with ${code}:\n${output}`));
+    });
+  });
+}
+
+function request(method, urlPath, { body, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const data = body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+    const req = http.request(
+      {
+        host: '127.0.0.1',
+        port,
+        method,
+        path: urlPath,
+        headers: {
+          ...(data ? { 'content-type': 'application/json', 'content-length': Buffer.byteLength(data) } : {}),
+          ...headers,
+        },
+      },
+      (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          text += chunk;
+        });
+        res.on('end', () => resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null }));
+      },
+    );
+    req.on('error', reject);
+    req.end(data);
+  });
+}
+
+function submit(task) {
+  return request('POST', '/api/tasks', { body: task });
+}
+
+before(async () => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'autodelegate-http-'));
+  fs.mkdirSync(path.join(root, 'repo'));
+  spawnSync('git', ['init', '-q'], { cwd: path.join(root, 'repo') });
+  homeDir = path.join(root, 'home');
+  port = await freePort();
+  daemon = await startDaemon();
+});
+
+after(async () => {
+  if (daemon && daemon.exitCode === null) {
+    const exited = new Promise((resolve) => daemon.once('exit', resolve));
+    daemon.kill('SIGTERM');
+    await exited;
+  }
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe('HTTP API', () => {
+  test('submits a task into the inbox and lists it', async () => {
+    const created = await submit({ id: 'http-submit', title: 'Submit', prompt: 'do it' });
+
+    assert.equal(created.status, 201);
+    assert.equal(created.body.task.id, 'http-submit');
+    assert.equal(created.body.task.state, 'inbox');
+    assert.ok(fs.existsSync(path.join(homeDir, 'inbox', 'http-submit.json')));
+
+    const listed = await request('GET', '/api/tasks?state=inbox');
+    assert.equal(listed.status, 200);
+    assert.ok(listed.body.tasks.some((task) => task.id === 'http-submit'));
+  });
+
+  test('refuses a duplicate id and a cwd', async () => {
+    await submit({ id: 'http-dup', title: 'Dup', prompt: 'once' });
+
+    assert.equal((await submit({ id: 'http-dup', title: 'Dup', prompt: 'twice' })).status, 409);
+    assert.equal((await submit({ id: 'http-cwd', title: 'Cwd', prompt: 'elsewhere', cwd: '/' })).status, 400);
+  });
+
+  test('cancels a queued task', async () => {
+    await submit({ id: 'http-cancel', title: 'Cancel', prompt: 'never runs' });
+
+    const cancelled = await request('POST', '/api/tasks/http-cancel/cancel', { body: {} });
+
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.status, 'cancelled');
+    assert.ok(fs.existsSync(path.join(homeDir, 'cancelled', 'http-cancel.json')));
+    assert.equal((await request('POST', '/api/tasks/http-cancel/cancel', { body: {} })).status, 409);
+  });
+
+  test('requeues a cancelled task and validates the body', async () => {
+    await submit({ id: 'http-requeue', title: 'Requeue', prompt: 'first' });
+    await request('POST', '/api/tasks/http-requeue/cancel', { body: {} });
+
+    assert.equal((await request('POST', '/api/tasks/http-requeue/requeue', { body: '[1]' })).status, 400);
+    const requeued = await request('POST', '/api/tasks/http-requeue/requeue', { body: { prompt: 'second' } });
+
+    assert.equal(requeued.status, 200);
+    const task = JSON.parse(fs.readFileSync(path.join(homeDir, 'inbox', 'http-requeue.json'), 'utf8'));
+    assert.equal(task.prompt, 'second');
+    assert.equal(task.requeues.length, 1);
+  });
+
+  test('rejects a foreign Host header', async () => {
+    const response = await request('GET', '/api/tasks', { headers: { host: `attacker.example:${port}` } });
+
+    assert.equal(response.status, 403);
+  });
+
+  test('rejects a cross-origin request', async () => {
+    const response = await request('POST', '/api/tasks', {
+      body: { id: 'http-origin', title: 'Origin', prompt: 'from a web page' },
+      headers: { origin: 'http://attacker.example' },
+    });
+
+    assert.equal(response.status, 403);
+    assert.ok(!fs.existsSync(path.join(homeDir, 'inbox', 'http-origin.json')));
+  });
+
+  test('rejects a POST without a JSON content type', async () => {
+    const response = await request('POST', '/api/tasks', {
+      body: 'title=x',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    });
+
+    assert.equal(response.status, 403);
+  });
+
+  test('answers 400 for malformed percent-encoding', async () => {
+    assert.equal((await request('GET', '/api/tasks/%E0%A4%A')).status, 400);
+  });
+});
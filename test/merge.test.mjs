@@ -0,0 +1,249 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { after, beforeEach, describe, test } from 'node:test';
+import { integrateBranch, resolveMergeSettings } from '../lib/merge.mjs';
+
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'autodelegate-test',
+  GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'autodelegate-test',
+  GIT_COMMITTER_EMAIL: 'test@example.com',
+  GIT_CONFIG_NOSYSTEM: '1',
+};
+// integrateBranch runs git itself; give it the same identity.
+Object.assign(process.env, GIT_ENV);
+
+const tempDirs = [];
+
+function git(cwd, ...args) {
+  const result = spawnSync('git', args, { cwd, encoding: 'utf8', env: GIT_ENV });
+  if (result.status !== 0) {
+    throw new Error(`git ${args.join(' ')} failed: ${result.stderr}`);
+  }
+  return result.stdout.trim();
+}
+
+function commitFile(cwd, file, content, message) {
+  fs.writeFileSync(path.join(cwd, file), content);
+  git(cwd, 'add', file);
+  git(cwd, 'commit', '-q', '-m', message);
+  return git(cwd, 'rev-parse', 'HEAD');
+}
+
+/** A repo on `main` with one commit, a `worktrees/` dir and optionally a bare `origin`. */
+function createRepo({ withRemote = false } = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'autodelegate-merge-'));
+  tempDirs.push(root);
+  const repoRoot = path.join(root, 'repo');
+  fs.mkdirSync(repoRoot);
+  git(repoRoot, 'init', '-q', '-b', 'main');
+  commitFile(repoRoot, 'README.md', 'base\n', 'init');
+  const worktreesDir = path.join(root, 'worktrees');
+  fs.mkdirSync(worktreesDir);
+
+  let remoteDir = '';
+  if (withRemote) {
+    remoteDir = path.join(root, 'remote.git');
+    git(root, 'init', '-q', '--bare', '-b', 'main', remoteDir);
+    git(repoRoot, 'remote', 'add', 'origin', remoteDir);
+    git(repoRoot, 'push', '-q', 'origin', 'main');
+  }
+  return { repoRoot, worktreesDir, remoteDir };
+}
+
+/** Creates `branch` from main in its own worktree and commits each `[file, content]` there. */
+function createTaskBranch(repo, branch, commits) {
+  const worktreePath = path.join(repo.worktreesDir, branch.replace(/\//g, '__'));
+  git(repo.repoRoot, 'worktree', 'add', '-q', '-b', branch, worktreePath, 'main');
+  commits.forEach(([file, content], index) => commitFile(worktreePath, file, content, `task commit ${index + 1}`));
+  return worktreePath;
+}
+
+function integrate(repo, branch, worktreePath, onSuccess, config = {}) {
+  return integrateBranch({
+    repoRoot: repo.repoRoot,
+    worktreesDir: repo.worktreesDir,
+    worktreePath,
+    branch,
+    taskId: 't1',
+    title: 'Task one',
+    message: 'Task one (squashed)',
+    settings: resolveMergeSettings(config, { onSuccess }),
+  });
+}
+
+after(() => {
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+describe('integrateBranch with a local base', () => {
+  let repo;
+  beforeEach(() => {
+    repo = createRepo();
+  });
+
+  test('fast-forwards main to a branch rebased onto a moved base', async () => {
+    const worktreePath = createTaskBranch(repo, 'autodelegate/t1', [['feature.txt', 'feature\n']]);
+    const baseSha = commitFile(repo.repoRoot, 'other.txt', 'other\n', 'base moved');
+
+    const result = await integrate(repo, 'autodelegate/t1', worktreePath, 'merge');
+
+    assert.equal(result.status, 'merged');
+    assert.equal(result.baseSha, baseSha);
+    assert.equal(result.commits, 1);
+    assert.equal(git(repo.repoRoot, 'rev-parse', 'main'), result.headSha);
+    assert.equal(git(repo.repoRoot, 'rev-parse', 'main^'), baseSha);
+    assert.equal(fs.readFileSync(path.join(repo.repoRoot, 'feature.txt'), 'utf8'), 'feature\n');
+  });
+
+  test('squashes several task commits into one commit on main', async () => {
+    const worktreePath = createTaskBranch(repo, 'autodelegate/t1', [
+      ['a.txt', 'a\n'],
+      ['b.txt', 'b\n'],
+    ]);
+    const baseSha = git(repo.repoRoot, 'rev-parse', 'main');
+
+    const result = await integrate(repo, 'autodelegate/t1', worktreePath, { action: 'merge', strategy: 'squash' });
+
+    assert.equal(result.status, 'merged');
+    assert.equal(result.commits, 2);
+    assert.equal(git(repo.repoRoot, 'rev-parse', 'main'), result.mergedSha);
+    assert.equal(git(repo.repoRoot, 'rev-parse', 'main^'), baseSha);
+    assert.equal(git(repo.repoRoot, 'log', '-1', '--format=%s', 'main'), 'Task one (squashed)');
+    assert.equal(git(repo.repoRoot, 'rev-parse', 'main^{tree}'), git(repo.repoRoot, 'rev-parse', `${result.headSha}^{tree}`));
+  });
+
+  test('reports conflicts and leaves main and the branch untouched', async () => {
+    const worktreePath = createTaskBranch(repo, 'autodelegate/t1', [['README.md', 'from task\n']]);
+    const branchSha = git(repo.repoRoot, 'rev-parse', 'autodelegate/t1');
+    const baseSha = commitFile(repo.repoRoot, 'README.md', 'from main\n', 'conflicting change');
+
+    const result = await integrate(repo, 'autodelegate/t1', worktreePath, 'merge');
+
+    assert.equal(result.status, 'conflict');
+    assert.deepEqual(result.conflicts, ['README.md']);
+    assert.equal(git(repo.repoRoot, 'rev-parse', 'main'), baseSha);
+    assert.equal(git(repo.repoRoot, 'rev-parse', 'autodelegate/t1'), branchSha);
+    assert.equal(git(worktreePath, 'status', '--porcelain'), '');
+  });
+
+  test('reports no_changes for a branch without commits of its own', async () => {
+    const worktreePath = createTaskBranch(repo, 'autodelegate/t1', []);
+    const baseSha = git(repo.repoRoot, 'rev-parse', 'main');
+
+    const result = await integrate(repo, 'autodelegate/t1', worktreePath, 'merge');
+
+    assert.equal(result.status, 'no_changes');
+    assert.equal(result.commits, 0);
+    assert.equal(git(repo.repoRoot, 'rev-parse', 'main'), baseSha);
+  });
+
+  test('refuses a worktree with uncommitted changes', async () => {
+    const worktreePath = createTaskBranch(repo, 'autodelegate/t1', [['feature.txt', 'feature\n']]);
+    fs.writeFileSync(path.join(worktreePath, 'feature.txt'), 'edited\n');
+
+    const result = await integrate(repo, 'autodelegate/t1', worktreePath, 'merge');
+
+    assert.equal(result.status, 'dirty');
+  });
+
+  test('uses a temporary worktree when the task worktree is gone', async () => {
+    const worktreePath = createTaskBranch(repo, 'autodelegate/t1', [['feature.txt', 'feature\n']]);
+    git(repo.repoRoot, 'worktree', 'remove', worktreePath);
+
+    const result = await integrate(repo, 'autodelegate/t1', worktreePath, 'merge');
+
+    assert.equal(result.status, 'merged');
+    assert.equal(git(repo.repoRoot, 'rev-parse', 'main'), result.headSha);
+    assert.deepEqual(fs.readdirSync(repo.worktreesDir), []);
+  });
+});
+
+describe('integrateBranch with a bare remote', () => {
+  let repo;
+  beforeEach(() => {
+    repo = createRepo({ withRemote: true });
+  });
+
+  test('fast-forwards the remote base onto the fetched remote head', async () => {
+    const worktreePath = createTaskBranch(repo, 'autodelegate/t1', [['feature.txt', 'feature\n']]);
+    // Someone else moves origin/main after the task branched.
+    const clone = path.join(path.dirname(repo.remoteDir), 'clone');
+    git(path.dirname(repo.remoteDir), 'clone', '-q', repo.remoteDir, clone);
+    const remoteBase = commitFile(clone, 'upstream.txt', 'upstream\n', 'upstream change');
+    git(clone, 'push', '-q', 'origin', 'main');
+
+    const result = await integrate(repo, 'autodelegate/t1', worktreePath, { action: 'merge', remote: 'origin' });
+
+    assert.equal(result.status, 'merged');
+    assert.equal(result.baseSha, remoteBase);
+    assert.equal(git(repo.remoteDir, 'rev-parse', 'main'), result.headSha);
+    assert.equal(git(repo.remoteDir, 'rev-parse', 'main^'), remoteBase);
+  });
+
+  test('squash-merges onto the remote base', async () => {
+    const worktreePath = createTaskBranch(repo, 'autodelegate/t1', [
+      ['a.txt', 'a\n'],
+      ['b.txt', 'b\n'],
+    ]);
+    const baseSha = git(repo.remoteDir, 'rev-parse', 'main');
+
+    const result = await integrate(repo, 'autodelegate/t1', worktreePath, { action: 'merge', strategy: 'squash', remote: 'origin' });
+
+    assert.equal(result.status, 'merged');
+    assert.equal(git(repo.remoteDir, 'rev-parse', 'main'), result.mergedSha);
+    assert.equal(git(repo.remoteDir, 'rev-parse', 'main^'), baseSha);
+  });
+
+  test('reports a conflict with the remote base without pushing', async () => {
+    const worktreePath = createTaskBranch(repo, 'autodelegate/t1', [['README.md', 'from task\n']]);
+    const clone = path.join(path.dirname(repo.remoteDir), 'clone');
+    git(path.dirname(repo.remoteDir), 'clone', '-q', repo.remoteDir, clone);
+    const remoteBase = commitFile(clone, 'README.md', 'from upstream\n', 'upstream change');
+    git(clone, 'push', '-q', 'origin', 'main');
+
+    const result = await integrate(repo, 'autodelegate/t1', worktreePath, { action: 'merge', remote: 'origin' });
+
+    assert.equal(result.status, 'conflict');
+    assert.equal(git(repo.remoteDir, 'rev-parse', 'main'), remoteBase);
+  });
+
+  test('pushes the task branch for a PR when no prHook is configured', async () => {
+    const worktreePath = createTaskBranch(repo, 'autodelegate/t1', [['feature.txt', 'feature\n']]);
+    const baseSha = git(repo.remoteDir, 'rev-parse', 'main');
+
+    const result = await integrate(repo, 'autodelegate/t1', worktreePath, { action: 'pr', remote: 'origin' });
+
+    assert.equal(result.status, 'pushed');
+    assert.equal(git(repo.remoteDir, 'rev-parse', 'autodelegate/t1'), result.headSha);
+    assert.equal(git(repo.remoteDir, 'rev-parse', 'main'), baseSha);
+  });
+
+  test('records the last line printed by the prHook as the PR url', async () => {
+    const worktreePath = createTaskBranch(repo, 'autodelegate/t1', [['feature.txt', 'feature\n']]);
+    const config = { merge: { prHook: 'echo "opening $AUTODELEGATE_BRANCH"; echo https://example.test/pr/1' } };
+
+    const result = await integrate(repo, 'autodelegate/t1', worktreePath, { action: 'pr', remote: 'origin' }, config);
+
+    assert.equal(result.status, 'pr_opened');
+    assert.equal(result.url, 'https://example.test/pr/1');
+  });
+
+  test('kills a prHook that outlives merge.timeoutMs', async () => {
+    const worktreePath = createTaskBranch(repo, 'autodelegate/t1', [['feature.txt', 'feature\n']]);
+    const config = { merge: { prHook: 'sleep 30', timeoutMs: 200 } };
+    const startedAt = Date.now();
+
+    const result = await integrate(repo, 'autodelegate/t1', worktreePath, { action: 'pr', remote: 'origin' }, config);
+
+    assert.equal(result.status, 'error');
+    assert.match(result.error, /prHook timed out after 200ms/);
+    assert.ok(Date.now() - startedAt < 10000);
+  });
+});